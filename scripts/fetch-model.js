@@ -0,0 +1,20 @@
+// Downloads the hand landmarker model into public/models so the app runs offline.
+// Usage: npm run fetch-model [-- <model url>]
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const output = resolve(root, 'public/models/hand_landmarker.task');
+
+const url = process.argv[2] || MODEL_URL;
+const response = await fetch(url);
+if (!response.ok) {
+    console.error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    process.exit(1);
+}
+
+await mkdir(dirname(output), { recursive: true });
+await writeFile(output, Buffer.from(await response.arrayBuffer()));
+console.log(`Saved ${url} to ${output}`);
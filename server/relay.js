@@ -0,0 +1,156 @@
+import { createServer } from 'node:http';
+import { networkInterfaces } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { acceptWebSocket } from './websocket.js';
+import { isValidInput } from '../src/InputController.js';
+
+// Relays gesture events and scene state between the devices of one installation:
+// controllers (a phone touchpad, a camera station) send input events, displays show
+// the tree. Connect to ws://host:8787/?room=lobby&role=display|controller.
+//
+//   in:  { type: 'input', event, args }   from anyone, sent on to every other display in the room
+//        { type: 'state', state }         from the leading display, sent on to the other displays
+//   out: { type: 'welcome', id, room, role, leader, state }  state: the room's latest, or null
+//        { type: 'leader' }               this display now publishes the state
+//        { type: 'input', event, args, from } | { type: 'state', state }
+//        { type: 'peers', displays, controllers }
+//
+// The first display in a room leads; when it leaves the longest-connected one takes over.
+//
+//   npm run relay             (PORT and HOST override the defaults)
+
+const ROLES = ['display', 'controller'];
+const HEARTBEAT = 30000; // ms between pings; a connection that misses one is dropped
+
+export function createRelay({ port = 8787, host = '0.0.0.0', log = console.log } = {}) {
+    const rooms = new Map(); // name -> { displays: [], controllers: [], state }
+    let nextId = 1;
+
+    const server = createServer((request, response) => {
+        // Plain HTTP answers with who is connected, handy to check the relay from a browser
+        const summary = [...rooms].map(([name, room]) => ({
+            room: name,
+            displays: room.displays.length,
+            controllers: room.controllers.length
+        }));
+        response.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        response.end(JSON.stringify({ rooms: summary }));
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const params = new URL(request.url, 'http://relay').searchParams;
+        const role = ROLES.includes(params.get('role')) ? params.get('role') : 'display';
+        const name = params.get('room') || 'default';
+        const connection = acceptWebSocket(request, socket);
+        if (!connection) return;
+
+        if (!rooms.has(name)) rooms.set(name, { displays: [], controllers: [], state: null });
+        const room = rooms.get(name);
+        const client = { id: nextId++, role, connection, alive: true };
+        room[`${role}s`].push(client);
+        log(`${role} ${client.id} joined ${name}`);
+
+        send(client, {
+            type: 'welcome',
+            id: client.id,
+            room: name,
+            role,
+            leader: room.displays[0] === client,
+            state: room.state
+        });
+        sendPeers(room);
+
+        connection.on('message', text => receive(room, client, text));
+        connection.on('pong', () => { client.alive = true; });
+        connection.on('close', () => {
+            const wasLeader = room.displays[0] === client;
+            room[`${role}s`] = room[`${role}s`].filter(other => other !== client);
+            log(`${role} ${client.id} left ${name}`);
+            if (!room.displays.length && !room.controllers.length) {
+                rooms.delete(name);
+                return;
+            }
+            if (wasLeader && room.displays.length) send(room.displays[0], { type: 'leader' });
+            sendPeers(room);
+        });
+    });
+
+    const receive = (room, client, text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            return;
+        }
+        // Valid JSON isn't necessarily a message: null, 5 or "x" are dropped too
+        if (!message || typeof message !== 'object' || Array.isArray(message)) return;
+        if (message.type === 'input') {
+            const args = Array.isArray(message.args) ? message.args : [];
+            // Malformed arguments would throw in the displays' bindings
+            if (!isValidInput(message.event, args)) return;
+            const forwarded = { type: 'input', event: message.event, args, from: client.id };
+            room.displays.forEach(display => {
+                if (display !== client) send(display, forwarded);
+            });
+        } else if (message.type === 'state' && room.displays[0] === client && message.state) {
+            room.state = message.state;
+            room.displays.forEach(display => {
+                if (display !== client) send(display, { type: 'state', state: message.state });
+            });
+        }
+    };
+
+    const heartbeat = setInterval(() => {
+        rooms.forEach(room => [...room.displays, ...room.controllers].forEach(client => {
+            if (!client.alive) {
+                client.connection.close(1001);
+                return;
+            }
+            client.alive = false;
+            client.connection.ping();
+        }));
+    }, HEARTBEAT);
+
+    return {
+        server,
+        rooms,
+        // Resolves with the bound port (pass port 0 for a free one)
+        listen() {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+        close() {
+            clearInterval(heartbeat);
+            rooms.forEach(room => [...room.displays, ...room.controllers].forEach(client => client.connection.close(1001)));
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function send(client, message) {
+    client.connection.send(JSON.stringify(message));
+}
+
+function sendPeers(room) {
+    const peers = { type: 'peers', displays: room.displays.length, controllers: room.controllers.length };
+    [...room.displays, ...room.controllers].forEach(client => send(client, peers));
+}
+
+// The addresses other devices on the network can reach this machine at
+function lanAddresses() {
+    return Object.values(networkInterfaces())
+        .flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 8787;
+    const relay = createRelay({ port, host: process.env.HOST || '0.0.0.0' });
+    await relay.listen();
+    console.log(`Relay listening on port ${port}`);
+    lanAddresses().forEach(address => console.log(`  ws://${address}:${port}`));
+    process.on('SIGINT', () => relay.close().then(() => process.exit(0)));
+}
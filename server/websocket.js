@@ -0,0 +1,160 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// Just enough of RFC 6455 for the relay, so it runs on a bare Node install: the
+// upgrade handshake, text frames (fragmented or not), ping/pong and close. Binary
+// messages are ignored; the relay only speaks JSON.
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1024 * 1024; // Bytes; gesture and state messages are tiny
+const CLOSE_TIMEOUT = 1000; // ms the peer gets to hang up after our close frame
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Answers an HTTP 'upgrade' request; returns the connection, or null if it wasn't a WebSocket handshake
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket);
+}
+
+// Events: 'message' (string), 'pong', 'close'
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Pieces of a fragmented text message
+        this.open = true;
+        this.closing = false; // Close frame sent, waiting for the socket to end
+        this.closeTimer = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.closed());
+    }
+
+    send(text) {
+        if (this.open && !this.closing) this.socket.write(frame(OPCODES.text, Buffer.from(text)));
+    }
+
+    ping() {
+        if (this.open && !this.closing) this.socket.write(frame(OPCODES.ping, Buffer.alloc(0)));
+    }
+
+    // Sends the close frame and ends our side; the socket's 'close' event finishes the job,
+    // so the frame (and its code) is flushed first. A peer that never hangs up is cut off.
+    close(code = 1000) {
+        if (!this.open || this.closing) return;
+        this.closing = true;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.end(frame(OPCODES.close, payload));
+        this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    }
+
+    closed() {
+        if (!this.open) return;
+        this.open = false;
+        clearTimeout(this.closeTimer);
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let parsed;
+        while (this.open && !this.closing && (parsed = parseFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(parsed.length);
+            // RFC 6455 5.1: a client frame without a mask is a protocol error
+            if (!parsed.masked) {
+                this.close(1002);
+                return;
+            }
+            this.handle(parsed);
+        }
+        if (this.buffer.length > MAX_MESSAGE + 14) this.close(1009);
+    }
+
+    handle({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) {
+            this.socket.write(frame(OPCODES.pong, payload));
+        } else if (opcode === OPCODES.pong) {
+            this.emit('pong');
+        } else if (opcode === OPCODES.close) {
+            this.close();
+        } else if (opcode === OPCODES.text || (opcode === OPCODES.continuation && this.fragments)) {
+            this.fragments = opcode === OPCODES.text ? [payload] : [...this.fragments, payload];
+            const size = this.fragments.reduce((sum, piece) => sum + piece.length, 0);
+            if (size > MAX_MESSAGE) {
+                this.close(1009);
+            } else if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = null;
+                this.emit('message', text);
+            }
+        }
+    }
+}
+
+// One complete frame from the start of `buffer`, or null; `masked` is false for a frame
+// the client should have masked but didn't
+function parseFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { fin, opcode, masked, payload, length: offset + length };
+}
+
+function frame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
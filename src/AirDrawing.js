@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { lerpFactor } from './FrameClock.js';
+import { themes } from './themes.js';
+
+// Drawing in the air: with drawing on, a pointing fingertip (or a finger or mouse dragged
+// across the screen) leaves a glowing stroke in scene space, on the plane through the
+// tree facing the camera, so strokes drawn from different angles build up in 3D. Strokes
+// are smoothed as they come in and kept as point lists; form() hands them to ParticleTree
+// as a shape and the particles fly in to fill them.
+
+const VERSION = 1;
+export const DRAWING_SHAPE = 'drawing';
+
+const vertexShader = `
+uniform float uPixelRatio;
+uniform float uSize;
+attribute float phase;
+uniform float uTime;
+varying float vGlow;
+
+void main() {
+    vGlow = 0.75 + 0.25 * sin(uTime * 3.0 + phase);
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = uSize * uPixelRatio * (12.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const fragmentShader = `
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vGlow;
+
+void main() {
+    float dist = distance(gl_PointCoord, vec2(0.5));
+    if (dist > 0.5) discard;
+    gl_FragColor = vec4(uColor, uOpacity * vGlow * pow(1.0 - dist * 2.0, 1.5));
+}
+`;
+
+export class AirDrawing {
+    // `config` is the drawing section of config.js (read live, except maxPoints);
+    // `tree` is the ParticleTree that form() morphs
+    constructor(scene, { config = createConfig().drawing, tree = null, theme = themes.blossom } = {}) {
+        this.scene = scene;
+        this.config = config;
+        this.tree = tree;
+        this.capacity = config.maxPoints;
+
+        this.strokes = []; // Finished strokes, each a list of Vector3
+        this.live = new Map(); // Strokes being drawn, by hand: { points, smoothed }
+        this.opacity = 0;
+        this.shown = false; // Strokes fade out once the particles take their place
+        this.dirty = false;
+        this.time = 0;
+        this.listeners = { change: [] };
+
+        this.initPoints();
+        this.setTheme(theme);
+    }
+
+    initPoints() {
+        this.positions = new Float32Array(this.capacity * 3);
+        const phases = new Float32Array(this.capacity);
+        for (let i = 0; i < this.capacity; i++) phases[i] = i * 0.35;
+
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+        this.geometry.setDrawRange(0, 0);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
+                uSize: { value: this.config.size },
+                uTime: { value: 0 },
+                uColor: { value: new THREE.Color() },
+                uOpacity: { value: 0 }
+            },
+            vertexShader,
+            fragmentShader,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true
+        });
+
+        this.points = new THREE.Points(this.geometry, material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(data));
+        }
+    }
+
+    setTheme(theme) {
+        this.points.material.uniforms.uColor.value.set(theme.ornaments.star);
+    }
+
+    // Something is being drawn right now
+    get active() {
+        return this.live.size > 0;
+    }
+
+    get pointCount() {
+        let count = 0;
+        this.strokes.forEach(points => { count += points.length; });
+        this.live.forEach(stroke => { count += stroke.points.length; });
+        return count;
+    }
+
+    // Extends the stroke of `id` (a hand, the mouse) to a world-space position, starting one if needed.
+    // Positions are eased (config.smoothing) and kept config.spacing apart.
+    draw(id, position) {
+        let stroke = this.live.get(id);
+        if (!stroke) {
+            stroke = { points: [], smoothed: position.clone() };
+            this.live.set(id, stroke);
+            this.shown = true;
+        }
+        stroke.smoothed.lerp(position, 1 - this.config.smoothing);
+
+        const last = stroke.points[stroke.points.length - 1];
+        if (last && last.distanceTo(stroke.smoothed) < this.config.spacing) return;
+        if (this.pointCount >= this.capacity) return; // Full; undo or clear to draw more
+        stroke.points.push(stroke.smoothed.clone());
+        this.dirty = true;
+    }
+
+    // Lifts the pen; strokes too short to see are dropped
+    end(id) {
+        const stroke = this.live.get(id);
+        if (!stroke) return;
+        this.live.delete(id);
+        this.dirty = true;
+        if (stroke.points.length < 2) return;
+
+        this.strokes.push(smoothPath(stroke.points));
+        this.emit('change', this.strokes.length);
+    }
+
+    undo() {
+        if (!this.strokes.length) return;
+        this.strokes.pop();
+        this.shown = true;
+        this.dirty = true;
+        this.emit('change', this.strokes.length);
+    }
+
+    clear() {
+        this.strokes = [];
+        this.live.clear();
+        this.dirty = true;
+        this.emit('change', 0);
+    }
+
+    // Morphs the tree into the strokes (see form() in ParticleTree for `options`);
+    // resolves false right away when there is nothing drawn
+    form(options = {}) {
+        this.live.forEach((stroke, id) => this.end(id));
+        if (!this.strokes.length || !this.tree) return Promise.resolve(false);
+
+        this.tree.shapes.register(DRAWING_SHAPE, this.createShape());
+        this.shown = false;
+        return this.tree.form(DRAWING_SHAPE, { ...options, reshape: true });
+    }
+
+    // A ParticleTree shape spreading particles evenly along the strokes, in a tube of
+    // config.thickness around them that is densest at the core
+    createShape() {
+        const segments = [];
+        let total = 0;
+        this.strokes.forEach(points => {
+            for (let i = 1; i < points.length; i++) {
+                total += points[i].distanceTo(points[i - 1]);
+                segments.push({ a: points[i - 1], b: points[i], end: total });
+            }
+        });
+        const thickness = this.config.thickness;
+        const point = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+
+        return {
+            sample(i, count, random) {
+                // Binary search for the segment a uniform distance along all strokes falls on
+                const distance = random() * total;
+                let low = 0;
+                let high = segments.length - 1;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (segments[mid].end < distance) low = mid + 1;
+                    else high = mid;
+                }
+                const { a, b, end } = segments[low];
+                const length = a.distanceTo(b);
+                point.lerpVectors(a, b, length > 0 ? 1 - (end - distance) / length : 0);
+
+                const theta = random() * Math.PI * 2;
+                const z = random() * 2 - 1;
+                const radius = thickness * random();
+                const ring = Math.sqrt(1 - z * z);
+                offset.set(ring * Math.cos(theta), ring * Math.sin(theta), z).multiplyScalar(radius);
+                point.add(offset);
+                return { x: point.x, y: point.y, z: point.z, type: 'leaves' };
+            }
+        };
+    }
+
+    // Plain JSON: { version, strokes: [[[x, y, z], ...], ...] }
+    toJSON() {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            version: VERSION,
+            strokes: this.strokes.map(points => points.map(p => [round(p.x), round(p.y), round(p.z)]))
+        };
+    }
+
+    // Replaces the drawing with one from toJSON() (or its JSON text); throws if it isn't one
+    load(drawing) {
+        const data = typeof drawing === 'string' ? JSON.parse(drawing) : drawing;
+        if (!data || data.version !== VERSION || !Array.isArray(data.strokes)) {
+            throw new Error(`Not a drawing (version ${VERSION} expected)`);
+        }
+
+        const isPoint = p => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+        const strokes = [];
+        let count = 0;
+        data.strokes.forEach(stroke => {
+            if (!Array.isArray(stroke) || stroke.length < 2 || !stroke.every(isPoint)) return;
+            if (count + stroke.length > this.capacity) return;
+            count += stroke.length;
+            strokes.push(stroke.map(([x, y, z]) => new THREE.Vector3(x, y, z)));
+        });
+
+        this.strokes = strokes;
+        this.live.clear();
+        this.shown = true;
+        this.dirty = true;
+        this.emit('change', this.strokes.length);
+        return this;
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(steps = 1) {
+        this.time += steps / 60;
+        if (this.dirty) this.writePoints();
+
+        const target = this.shown && this.config.enabled ? 1 : 0;
+        this.opacity += (target - this.opacity) * lerpFactor(0.12, steps);
+        const uniforms = this.points.material.uniforms;
+        uniforms.uOpacity.value = this.opacity;
+        uniforms.uSize.value = this.config.size;
+        uniforms.uTime.value = this.time;
+        this.points.visible = this.opacity > 0.005;
+    }
+
+    writePoints() {
+        let n = 0;
+        const write = p => {
+            this.positions[n * 3] = p.x;
+            this.positions[n * 3 + 1] = p.y;
+            this.positions[n * 3 + 2] = p.z;
+            n++;
+        };
+        this.strokes.forEach(points => points.forEach(write));
+        this.live.forEach(stroke => stroke.points.forEach(write));
+
+        this.geometry.setDrawRange(0, n);
+        this.geometry.attributes.position.needsUpdate = true;
+        this.dirty = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
+
+// Two passes of a three-point average irons out the tremor left after the live easing;
+// the ends stay where they were drawn
+function smoothPath(points) {
+    let path = points;
+    for (let pass = 0; pass < 2; pass++) {
+        path = path.map((p, i) => {
+            if (i === 0 || i === path.length - 1) return p.clone();
+            return p.clone().add(path[i - 1]).add(path[i + 1]).divideScalar(3);
+        });
+    }
+    return path;
+}
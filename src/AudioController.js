@@ -0,0 +1,208 @@
+import { createConfig } from './config.js';
+
+// Sound in and out. An AnalyserNode on an audio file or the microphone is reduced
+// each frame to bass/mid/treble levels (0-1) plus a 'beat' event; the scene reads
+// `levels` to pulse the particles and bloom. The same controller plays the
+// synthesized sound effects that gestures trigger.
+
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+const BEAT_HISTORY = 43; // About 0.7 s of bass energy at 60 fps
+
+export class AudioController {
+    // `config` is the audio section of config.js (read live)
+    constructor(config = createConfig().audio) {
+        this.config = config;
+        this.context = null;
+        this.analyser = null;
+        this.source = null; // Current input node
+        this.element = null; // <audio> playing a file
+        this.stream = null; // Microphone MediaStream
+        this.effectsOutput = null;
+
+        this.levels = { bass: 0, mid: 0, treble: 0 };
+        this.bassHistory = [];
+        this.lastBeatTime = -Infinity;
+
+        this.listeners = { beat: [], sourcechange: [] };
+
+        // Sound effects are functions (context, output, when) that schedule some nodes
+        this.effects = { chime, whoosh };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(data));
+        }
+    }
+
+    // Browsers only allow audio after a user gesture: call this from one (a click, a key)
+    unlock() {
+        if (!this.context) {
+            this.context = new AudioContext();
+
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.frequencies = new Uint8Array(this.analyser.frequencyBinCount);
+
+            this.effectsOutput = this.context.createGain();
+            this.effectsOutput.connect(this.context.destination);
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+        return this.context;
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    // Plays a File/Blob or URL and reacts to it
+    async useFile(file) {
+        this.unlock();
+        this.stop();
+
+        this.element = new Audio();
+        this.element.src = typeof file === 'string' ? file : URL.createObjectURL(file);
+        this.element.loop = true;
+        this.source = this.context.createMediaElementSource(this.element);
+        this.source.connect(this.analyser);
+        this.analyser.connect(this.context.destination);
+
+        await this.element.play();
+        this.emit('sourcechange', { source: 'file' });
+    }
+
+    // Reacts to the microphone; it is analysed only, never played back
+    async useMicrophone() {
+        this.unlock();
+        this.stop();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        this.emit('sourcechange', { source: 'microphone' });
+    }
+
+    stop() {
+        if (this.source) this.source.disconnect();
+        if (this.analyser) this.analyser.disconnect();
+        if (this.element) {
+            this.element.pause();
+            if (this.element.src.startsWith('blob:')) URL.revokeObjectURL(this.element.src);
+        }
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+
+        this.source = null;
+        this.element = null;
+        this.stream = null;
+        this.levels.bass = this.levels.mid = this.levels.treble = 0;
+        this.bassHistory.length = 0;
+    }
+
+    // Call once per frame; returns the smoothed levels
+    update(time = performance.now()) {
+        if (!this.active) return this.levels;
+
+        this.analyser.smoothingTimeConstant = this.config.smoothing;
+        this.analyser.getByteFrequencyData(this.frequencies);
+
+        const binWidth = this.context.sampleRate / this.analyser.fftSize;
+        Object.entries(BANDS).forEach(([band, [low, high]]) => {
+            const start = Math.max(1, Math.floor(low / binWidth));
+            const end = Math.min(this.frequencies.length, Math.ceil(high / binWidth));
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += this.frequencies[i];
+            const level = Math.min(sum / ((end - start) * 255) * this.config.sensitivity, 1);
+            this.levels[band] = level;
+        });
+
+        this.detectBeat(time);
+        return this.levels;
+    }
+
+    // A beat is bass energy well above its recent average
+    detectBeat(time) {
+        const bass = this.levels.bass;
+        const history = this.bassHistory;
+        const average = history.length ? history.reduce((a, b) => a + b, 0) / history.length : bass;
+
+        history.push(bass);
+        if (history.length > BEAT_HISTORY) history.shift();
+
+        if (history.length < BEAT_HISTORY / 2 || time - this.lastBeatTime < this.config.beatCooldown) return;
+        if (bass > 0.15 && bass > average * this.config.beatThreshold) {
+            this.lastBeatTime = time;
+            this.emit('beat', { strength: bass / Math.max(average, 1e-3), bass });
+        }
+    }
+
+    registerEffect(name, effect) {
+        this.effects[name] = effect;
+    }
+
+    // Plays a named effect; silently does nothing before unlock() or when effects are off
+    play(name) {
+        const effect = this.effects[name];
+        if (!effect) {
+            console.warn(`Unknown sound effect "${name}", available: ${Object.keys(this.effects).join(', ')}`);
+            return;
+        }
+        if (!this.context || !this.config.effects) return;
+
+        this.effectsOutput.gain.value = this.config.effectsVolume;
+        effect(this.context, this.effectsOutput, this.context.currentTime);
+    }
+
+    dispose() {
+        this.stop();
+        if (this.context) this.context.close();
+        this.context = null;
+    }
+}
+
+// Bell: a few inharmonic sine partials with exponential decay
+function chime(context, output, when) {
+    [1, 2.76, 5.4].forEach((ratio, n) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = 880 * ratio;
+        gain.gain.setValueAtTime(0.3 / (n + 1), when);
+        gain.gain.exponentialRampToValueAtTime(0.0001, when + 1.5 / (n + 1));
+        oscillator.connect(gain).connect(output);
+        oscillator.start(when);
+        oscillator.stop(when + 1.6);
+    });
+}
+
+// Wind: white noise through a band-pass filter sweeping downwards
+function whoosh(context, output, when) {
+    const duration = 0.8;
+    const buffer = context.createBuffer(1, context.sampleRate * duration, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    const noise = context.createBufferSource();
+    noise.buffer = buffer;
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 1.5;
+    filter.frequency.setValueAtTime(3000, when);
+    filter.frequency.exponentialRampToValueAtTime(300, when + duration);
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, when);
+    gain.gain.exponentialRampToValueAtTime(0.6, when + 0.1);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + duration);
+
+    noise.connect(filter).connect(gain).connect(output);
+    noise.start(when);
+}
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { lerpFactor, decay } from './FrameClock.js';
+
+// Orbits the camera around the tree: yaw spins with momentum, pitch, zoom and roll
+// ease towards their targets. The scene itself stays put, so every layer (tree,
+// meteors, snow, ornaments) is seen from the same moving viewpoint. After
+// `idleTimeout` seconds without input it flies a slow cinematic loop until woken.
+
+const ATTRACT_YAW_SPEED = 0.003; // Radians per frame at attractSpeed 1
+
+export class CameraRig {
+    // `config` is the camera section of config.js, `sceneConfig` the scene section
+    // (for cameraDistance); both read live
+    constructor(camera, { config = createConfig().camera, sceneConfig = createConfig().scene } = {}) {
+        this.camera = camera;
+        this.config = config;
+        this.sceneConfig = sceneConfig;
+        this.target = new THREE.Vector3(0, 0, 0);
+
+        this.yaw = 0;
+        this.yawVelocity = 0;
+        this.pitch = 0;
+        this.pitchTarget = 0;
+        this.zoom = 1;
+        this.zoomTarget = 1;
+        this.roll = 0;
+        this.rollTarget = 0;
+
+        this.attract = false;
+        this.attractTime = 0;
+        this.resume = null; // Pitch and zoom to return to when attract mode ends
+        this.lastActivity = performance.now();
+        this.listeners = { attractstart: [], attractend: [] };
+
+        this.update();
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(data));
+        }
+    }
+
+    // Spin speed from a hand's x (0-1, 0.5 holds still), like the tree's old rotate()
+    rotate(normalizedX) {
+        this.wake();
+        this.yawVelocity = -(normalizedX - 0.5) * this.config.rotationSensitivity;
+    }
+
+    stopRotation() {
+        this.yawVelocity = 0;
+    }
+
+    // Raising the hand (y towards 0) looks down on the tree from above
+    setPitchFromHand(normalizedY) {
+        this.wake();
+        this.setPitch((0.5 - normalizedY) * this.config.pitchSensitivity);
+    }
+
+    setPitch(pitch) {
+        this.pitchTarget = THREE.MathUtils.clamp(pitch, this.config.minPitch, this.config.maxPitch);
+    }
+
+    // A hand closer to the camera looks bigger and pulls the view in; `palmSize` is the
+    // wrist-to-knuckle length in image units
+    setZoomFromHand(palmSize) {
+        if (!this.config.handZoom) return;
+        this.wake();
+        this.setZoom(palmSize / this.config.handZoomReference);
+    }
+
+    // 1 is the default framing, larger values move the camera closer
+    setZoom(zoom) {
+        this.zoomTarget = THREE.MathUtils.clamp(zoom, this.config.minZoom, this.config.maxZoom);
+    }
+
+    // Roll around the view axis, e.g. from the slope between two hands
+    tilt(angle) {
+        this.rollTarget = THREE.MathUtils.clamp(angle, -Math.PI / 4, Math.PI / 4);
+    }
+
+    // Jumps straight to the targets, no easing
+    snap() {
+        this.pitch = this.pitchTarget;
+        this.zoom = this.zoomTarget;
+        this.roll = this.rollTarget;
+        this.update();
+    }
+
+    // Any input counts as someone being there
+    wake() {
+        this.lastActivity = performance.now();
+        if (!this.attract) return;
+
+        this.attract = false;
+        this.pitchTarget = this.resume.pitch;
+        this.zoomTarget = this.resume.zoom;
+        this.rollTarget = 0;
+        this.yawVelocity = 0;
+        this.emit('attractend');
+    }
+
+    updateAttract(now, steps = 1) {
+        const config = this.config;
+        const idle = config.attract && now - this.lastActivity > config.idleTimeout * 1000;
+        if (idle && !this.attract) {
+            this.attract = true;
+            this.attractTime = 0;
+            this.resume = { pitch: this.pitchTarget, zoom: this.zoomTarget };
+            this.emit('attractstart');
+        }
+        if (!this.attract) return;
+
+        // Slow orbit, drifting up and down while gently dollying in and out
+        this.attractTime += 0.01 * config.attractSpeed * steps;
+        const t = this.attractTime;
+        this.yawVelocity = ATTRACT_YAW_SPEED * config.attractSpeed;
+        this.setPitch(0.15 + Math.sin(t * 0.7) * 0.35);
+        this.setZoom(1.05 + Math.sin(t * 0.45 + 1) * 0.3);
+        this.rollTarget = Math.sin(t * 0.3) * 0.05;
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(now = performance.now(), steps = 1) {
+        const config = this.config;
+        this.updateAttract(now, steps);
+
+        this.yaw += this.yawVelocity * steps;
+        if (!this.attract) this.yawVelocity *= decay(config.rotationDamping, steps);
+
+        const damping = lerpFactor(this.attract ? config.damping * 0.25 : config.damping, steps);
+        this.pitch += (this.pitchTarget - this.pitch) * damping;
+        this.zoom += (this.zoomTarget - this.zoom) * damping;
+        this.roll += (this.rollTarget - this.roll) * damping;
+
+        const distance = this.sceneConfig.cameraDistance / this.zoom;
+        const horizontal = Math.cos(this.pitch) * distance;
+        this.camera.position.set(
+            this.target.x + Math.sin(this.yaw) * horizontal,
+            this.target.y + Math.sin(this.pitch) * distance,
+            this.target.z + Math.cos(this.yaw) * horizontal
+        );
+        this.camera.lookAt(this.target);
+        this.camera.rotateZ(-this.roll); // Rolling the camera one way looks like tilting the tree the other
+    }
+}
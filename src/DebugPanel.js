@@ -0,0 +1,115 @@
+import GUI from 'three/examples/jsm/libs/lil-gui.module.min.js';
+import { applyPreset, configOptions, configRanges, diffConfig, exportPreset, reloadOnly } from './config.js';
+
+// Live tuning panel generated from the config object. Toggle with the ` key.
+// Every edit goes straight into the shared config; `onChange` lets owners of
+// non-live values (bloom, fog, camera) re-apply them.
+
+export class DebugPanel {
+    constructor(config, { onChange = () => {}, visible = true } = {}) {
+        this.config = config;
+        this.onChange = onChange;
+
+        this.gui = new GUI({ title: 'Tuning' });
+        this.addSection(this.gui, config, '');
+        this.addActions();
+
+        if (!visible) this.gui.hide();
+
+        this.keyHandler = (e) => {
+            if (e.key !== '`') return;
+            this.gui._hidden ? this.gui.show() : this.gui.hide();
+        };
+        window.addEventListener('keydown', this.keyHandler);
+    }
+
+    addSection(folder, section, prefix) {
+        Object.entries(section).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (value !== null && typeof value === 'object') {
+                const child = folder.addFolder(key);
+                if (prefix) child.close(); // Only top-level sections start open
+                this.addSection(child, value, path);
+                return;
+            }
+            // Unset paths (e.g. modelAssetPath) have no type to edit
+            if (value === null) return;
+
+            let controller;
+            if (configOptions[path]) {
+                controller = folder.add(section, key, configOptions[path]);
+            } else if (typeof value === 'string' && value.startsWith('#')) {
+                controller = folder.addColor(section, key);
+            } else if (typeof value === 'number' && configRanges[path]) {
+                const [min, max, step] = configRanges[path];
+                controller = folder.add(section, key, min, max, step);
+            } else {
+                controller = folder.add(section, key);
+            }
+
+            if (reloadOnly.includes(path)) controller.name(`${key} (reload)`);
+            // Theme switches fade the scene colors and bloom, keep the panel showing them
+            if (prefix === 'scene') controller.listen();
+            controller.onChange(() => this.onChange(path));
+        });
+    }
+
+    addActions() {
+        const actions = {
+            exportPreset: () => this.download(),
+            importPreset: () => this.pickFile(),
+            copyLink: () => this.copyLink()
+        };
+
+        const folder = this.gui.addFolder('Presets');
+        folder.add(actions, 'exportPreset').name('Export preset');
+        folder.add(actions, 'importPreset').name('Import preset');
+        folder.add(actions, 'copyLink').name('Copy link');
+    }
+
+    download() {
+        const blob = new Blob([exportPreset(this.config)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'tree-preset.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    pickFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                applyPreset(this.config, JSON.parse(await file.text()));
+                this.gui.controllersRecursive().forEach(c => c.updateDisplay());
+                this.onChange(null);
+            } catch (error) {
+                console.error('Failed to import preset:', error);
+            }
+        };
+        input.click();
+    }
+
+    // A link that reproduces the current tuning through query params
+    async copyLink() {
+        const url = new URL(window.location.href);
+        Object.entries(diffConfig(this.config)).forEach(([path, value]) => {
+            url.searchParams.set(path, value);
+        });
+        try {
+            await navigator.clipboard.writeText(url.toString());
+        } catch {
+            window.prompt('Copy this link', url.toString());
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.keyHandler);
+        this.gui.destroy();
+    }
+}
@@ -0,0 +1,356 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { themes } from './themes.js';
+import { lerpFactor, decay } from './FrameClock.js';
+
+// Ornaments hung on the particle tree: baubles, light strings spiralling around the
+// canopy and a star on top. Each decoration is attached to one tree particle and drawn
+// at that particle's resting position, inside the tree's Points so it moves with it
+// and scatters/returns with form() and disperse(). Blinking is done in the shader.
+
+const KINDS = { bauble: 0, light: 1, star: 2 };
+export const LIGHT_PATTERNS = ['steady', 'blink', 'twinkle', 'chase'];
+
+const vertexShader = `
+uniform float uTime;
+uniform float uPixelRatio;
+uniform float uBlinkSpeed;
+attribute vec3 tint;
+attribute float size;
+attribute float kind;
+attribute float pattern;
+attribute float phase;
+attribute float lit;
+attribute float flash;
+varying vec3 vColor;
+varying float vBrightness;
+varying float vKind;
+
+void main() {
+    float t = uTime * uBlinkSpeed;
+    float brightness = 1.0;
+    if (kind > 0.5 && kind < 1.5) {
+        if (pattern > 2.5) {
+            brightness = 0.3 + 0.7 * smoothstep(0.6, 1.0, sin(t * 8.0 - phase * 40.0)); // Chase along the string
+        } else if (pattern > 1.5) {
+            brightness = 0.4 + 0.6 * pow(0.5 + 0.5 * sin(t * 10.0 + phase * 6.2831853), 3.0); // Twinkle
+        } else if (pattern > 0.5) {
+            brightness = step(0.5, fract(t * 2.0 + phase)); // Blink
+        }
+        brightness = mix(0.15, brightness, lit);
+    }
+    vBrightness = brightness + flash * 1.5;
+    vColor = tint;
+    vKind = kind;
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = size * (1.0 + flash) * uPixelRatio * (12.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const fragmentShader = `
+varying vec3 vColor;
+varying float vBrightness;
+varying float vKind;
+
+void main() {
+    vec2 p = gl_PointCoord - vec2(0.5);
+    float dist = length(p);
+    float alpha;
+    vec3 color = vColor;
+
+    if (vKind > 1.5) {
+        // Five-pointed star
+        float angle = atan(p.x, -p.y);
+        float edge = 0.5 * (0.55 + 0.45 * pow(abs(cos(angle * 2.5)), 4.0));
+        if (dist > edge) discard;
+        alpha = 1.0 - smoothstep(edge * 0.6, edge, dist);
+    } else if (vKind > 0.5) {
+        // Light: bright core with a soft halo
+        if (dist > 0.5) discard;
+        alpha = pow(1.0 - dist * 2.0, 2.0);
+        color = mix(color, vec3(1.0), smoothstep(0.15, 0.0, dist));
+    } else {
+        // Bauble: shaded ball with a highlight
+        if (dist > 0.5) discard;
+        alpha = 1.0 - smoothstep(0.4, 0.5, dist);
+        float highlight = smoothstep(0.15, 0.0, length(p - vec2(-0.15, 0.15)));
+        color = color * (0.5 + 0.5 * (1.0 - dist * 2.0)) + highlight;
+    }
+
+    gl_FragColor = vec4(color * vBrightness, alpha);
+}
+`;
+
+// Canopy surface lookup: the outermost particle per (height, angle) cell
+const HEIGHT_BINS = 32;
+const ANGLE_BINS = 36;
+
+export class DecorationLayer {
+    // `config` is the decorations section of config.js (read live, except maxCount);
+    // `random` (see random.js) defaults to the tree's
+    constructor(tree, { config = createConfig().decorations, theme = themes.blossom, random = tree.random } = {}) {
+        this.tree = tree;
+        this.config = config;
+        this.random = random;
+        this.theme = theme;
+        this.capacity = config.maxCount;
+
+        this.decorations = []; // { index, kind, pattern, phase, color, lit, flash, custom }
+        this.transition = null; // The tree transition the layout was made for
+        this.local = new THREE.Vector3();
+        this.inverse = new THREE.Matrix4();
+        this.ray = new THREE.Ray();
+
+        this.initPoints();
+        this.place();
+        this.transition = tree.transition;
+    }
+
+    initPoints() {
+        const attribute = (itemSize) => new THREE.BufferAttribute(new Float32Array(this.capacity * itemSize), itemSize).setUsage(THREE.DynamicDrawUsage);
+
+        this.geometry = new THREE.BufferGeometry();
+        ['position', 'tint'].forEach(name => this.geometry.setAttribute(name, attribute(3)));
+        ['size', 'kind', 'pattern', 'phase', 'lit', 'flash'].forEach(name => this.geometry.setAttribute(name, attribute(1)));
+        this.geometry.setDrawRange(0, 0);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: this.tree.uniforms.uTime,
+                uPixelRatio: this.tree.uniforms.uPixelRatio,
+                uBlinkSpeed: { value: 1 },
+            },
+            vertexShader,
+            fragmentShader,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true,
+        });
+
+        this.points = new THREE.Points(this.geometry, material);
+        this.points.frustumCulled = false;
+        this.tree.particles.add(this.points); // Share the tree's local space
+    }
+
+    setTheme(theme) {
+        this.theme = theme;
+        this.decorations.forEach(decoration => { decoration.color = this.pickColor(decoration.kind); });
+        this.writeStatic();
+    }
+
+    pickColor(kind) {
+        const { baubles, lights, star } = this.theme.ornaments;
+        if (kind === KINDS.star) return new THREE.Color(star);
+        const palette = kind === KINDS.light ? lights : baubles;
+        return new THREE.Color(palette[Math.floor(this.random() * palette.length)]);
+    }
+
+    // Builds the automatic layout for the shape the tree is forming; hand-placed
+    // decorations stay on their particles
+    place() {
+        const { lights, baubles, star, lightTurns, lightsOn, lightPattern } = this.config;
+        const previous = this.decorations;
+        const custom = previous.filter(decoration => decoration.custom);
+        this.decorations = [];
+
+        const surface = this.buildSurface();
+        if (surface) {
+            for (let k = 0; k < lights; k++) {
+                // One string winding down from the top
+                const s = (k + 0.5) / lights;
+                const index = surface.lookup(1 - s, s * lightTurns);
+                if (index === -1) continue;
+                const pattern = lightPattern === 'mixed'
+                    ? LIGHT_PATTERNS[Math.floor(this.random() * LIGHT_PATTERNS.length)]
+                    : lightPattern;
+                this.add(index, KINDS.light, { pattern, phase: s, lit: lightsOn ? 1 : 0 });
+            }
+
+            for (let k = 0; k < baubles; k++) {
+                const index = surface.lookup(this.random() * 0.85, this.random());
+                if (index !== -1) this.add(index, KINDS.bauble);
+            }
+
+            if (star) this.add(surface.top, KINDS.star);
+        }
+
+        // New ornaments glide over from where the old ones of the same kind were
+        this.decorations.forEach((decoration, n) => {
+            const old = previous[n];
+            if (old && old.kind === decoration.kind && old.position && !old.custom) decoration.position = old.position;
+        });
+
+        custom.forEach(decoration => {
+            if (this.decorations.length < this.capacity) this.decorations.push(decoration);
+        });
+        this.writeStatic();
+    }
+
+    add(index, kind, { pattern = 'steady', phase = this.random(), lit = 1, custom = false } = {}) {
+        if (this.decorations.length >= this.capacity) return null;
+        const decoration = {
+            index,
+            kind,
+            pattern: LIGHT_PATTERNS.indexOf(pattern),
+            phase,
+            color: this.pickColor(kind),
+            lit,
+            flash: 0,
+            custom,
+            position: null // Smoothed display position, set on the first update
+        };
+        this.decorations.push(decoration);
+        return decoration;
+    }
+
+    // Buckets the canopy (leaves, or every particle for shapes without leaves) of the
+    // tree's targets by height and angle, keeping the outermost particle of each cell
+    buildSurface() {
+        const tree = this.tree;
+        const targets = tree.treeTargetPositions;
+        const leaves = tree.typeNames.indexOf('leaves');
+        const useLeaves = leaves !== -1 && tree.treeTypes.includes(leaves);
+
+        let minY = Infinity;
+        let maxY = -Infinity;
+        let top = -1;
+        for (let i = 0; i < tree.treeCount; i++) {
+            const y = targets[i * 3 + 1];
+            if (top === -1 || y > targets[top * 3 + 1]) top = i;
+            if (useLeaves && tree.treeTypes[i] !== leaves) continue;
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+        if (top === -1) return null;
+
+        const cells = new Int32Array(HEIGHT_BINS * ANGLE_BINS).fill(-1);
+        const radii = new Float32Array(HEIGHT_BINS * ANGLE_BINS);
+        const range = maxY - minY || 1;
+        for (let i = 0; i < tree.treeCount; i++) {
+            if (useLeaves && tree.treeTypes[i] !== leaves) continue;
+            const x = targets[i * 3];
+            const z = targets[i * 3 + 2];
+            const row = Math.min(Math.floor((targets[i * 3 + 1] - minY) / range * HEIGHT_BINS), HEIGHT_BINS - 1);
+            const column = Math.floor((Math.atan2(z, x) / (Math.PI * 2) + 0.5) * ANGLE_BINS) % ANGLE_BINS;
+            const cell = row * ANGLE_BINS + column;
+            const radius = x * x + z * z;
+            if (cells[cell] === -1 || radius > radii[cell]) {
+                cells[cell] = i;
+                radii[cell] = radius;
+            }
+        }
+
+        return {
+            top,
+            // height 0-1 from the bottom of the canopy, turns in full revolutions;
+            // falls back to the nearest filled cell in the row (flat shapes fill few angles)
+            lookup(height, turns) {
+                const row = Math.min(Math.floor(height * HEIGHT_BINS), HEIGHT_BINS - 1);
+                const column = Math.floor((((turns % 1) + 1) % 1) * ANGLE_BINS);
+                for (let step = 0; step <= ANGLE_BINS / 2; step++) {
+                    for (const c of [column + step, column - step]) {
+                        const index = cells[row * ANGLE_BINS + ((c % ANGLE_BINS) + ANGLE_BINS) % ANGLE_BINS];
+                        if (index !== -1) return index;
+                    }
+                }
+                return -1;
+            }
+        };
+    }
+
+    // Particle whose resting position is closest to a world-space ray, preferring the front
+    pickParticle(worldRay, maxDistance = 0.35) {
+        const tree = this.tree;
+        tree.particles.updateMatrixWorld();
+        this.inverse.copy(tree.particles.matrixWorld).invert();
+        const ray = this.ray.copy(worldRay).applyMatrix4(this.inverse);
+
+        let best = -1;
+        let bestDepth = Infinity;
+        const maxSq = maxDistance * maxDistance;
+        for (let i = 0; i < tree.treeCount; i++) {
+            tree.getParticlePosition(i, this.local);
+            if (ray.distanceSqToPoint(this.local) > maxSq) continue;
+            const depth = this.local.sub(ray.origin).dot(ray.direction);
+            if (depth < bestDepth) {
+                best = i;
+                bestDepth = depth;
+            }
+        }
+        return best;
+    }
+
+    // Lights up the decoration under a world-space ray, or hangs a new one there.
+    // Returns the decoration, or null when the ray misses the tree.
+    addAt(worldRay, kind = 'bauble') {
+        const index = this.pickParticle(worldRay);
+        if (index === -1) return null;
+
+        const anchor = this.tree.getParticlePosition(index, new THREE.Vector3());
+        const position = new THREE.Vector3();
+        let decoration = this.decorations.find(d => this.tree.getParticlePosition(d.index, position).distanceTo(anchor) < 0.4);
+        if (!decoration) {
+            decoration = this.add(index, KINDS[kind] ?? KINDS.bauble, { pattern: 'twinkle', custom: true });
+            if (!decoration) return null;
+        }
+        decoration.lit = 1;
+        decoration.flash = 1;
+        this.writeStatic();
+        return decoration;
+    }
+
+    // Attributes that only change with the layout, theme or a light-up
+    writeStatic() {
+        const { tint, size, kind, pattern, phase, lit } = this.geometry.attributes;
+        const sizes = [this.config.baubleSize, this.config.lightSize, this.config.starSize];
+        this.decorations.forEach((decoration, n) => {
+            tint.setXYZ(n, decoration.color.r, decoration.color.g, decoration.color.b);
+            size.setX(n, sizes[decoration.kind]);
+            kind.setX(n, decoration.kind);
+            pattern.setX(n, Math.max(decoration.pattern, 0));
+            phase.setX(n, decoration.phase);
+            lit.setX(n, decoration.lit);
+        });
+        [tint, size, kind, pattern, phase, lit].forEach(attribute => { attribute.needsUpdate = true; });
+        this.geometry.setDrawRange(0, this.decorations.length);
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(steps = 1) {
+        const tree = this.tree;
+        this.points.visible = this.config.enabled;
+        this.points.material.uniforms.uBlinkSpeed.value = this.config.blinkSpeed;
+
+        // A new form() means a new surface: re-hang everything on it. A disperse keeps
+        // the decorations on their particles so they scatter along.
+        if (tree.transition !== this.transition) {
+            this.transition = tree.transition;
+            if (tree.state === 'formed') this.place();
+        }
+
+        const { position, flash } = this.geometry.attributes;
+        const anchor = this.local;
+        const glide = lerpFactor(0.25, steps);
+        const fade = decay(0.95, steps);
+        this.decorations.forEach((decoration, n) => {
+            tree.getParticlePosition(decoration.index, anchor);
+            // Glide instead of jumping when re-hung on a different particle
+            if (!decoration.position) decoration.position = anchor.clone();
+            else decoration.position.lerp(anchor, glide);
+            position.setXYZ(n, decoration.position.x, decoration.position.y, decoration.position.z);
+
+            decoration.flash *= fade;
+            flash.setX(n, decoration.flash);
+        });
+        position.needsUpdate = true;
+        flash.needsUpdate = true;
+    }
+
+    dispose() {
+        this.tree.particles.remove(this.points);
+        this.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
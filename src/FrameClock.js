@@ -0,0 +1,40 @@
+// Shared animation clock. Speeds, fades and damping in config.js are all tuned per
+// frame at 60 fps, so systems advance by `steps` (the elapsed time in 60 Hz frames)
+// instead of by one frame: the scene moves the same on 30, 60 or 144 Hz displays.
+
+export const STEPS_PER_SECOND = 60;
+const MAX_DELTA = 0.1; // s; longer gaps (background tab, debugger) don't fast-forward the scene
+
+export class FrameClock {
+    constructor() {
+        this.last = null;
+        this.delta = 0; // Seconds since the previous tick, capped
+        this.rawDelta = 0; // Uncapped, for frame time statistics
+        this.steps = 1; // delta in 60 Hz frames
+        this.elapsed = 0;
+    }
+
+    // The next tick counts as a first frame, e.g. after the loop was paused
+    reset() {
+        this.last = null;
+    }
+
+    tick(now = performance.now()) {
+        this.rawDelta = this.last === null ? 1 / STEPS_PER_SECOND : (now - this.last) / 1000;
+        this.last = now;
+        this.delta = Math.min(this.rawDelta, MAX_DELTA);
+        this.steps = this.delta * STEPS_PER_SECOND;
+        this.elapsed += this.delta;
+        return this;
+    }
+}
+
+// Share of the remaining way covered over `steps` frames by a per-frame lerp of `fraction`
+export function lerpFactor(fraction, steps) {
+    return 1 - Math.pow(1 - fraction, steps);
+}
+
+// What's left of a value multiplied by `keep` every frame, after `steps` frames
+export function decay(keep, steps) {
+    return Math.pow(keep, steps);
+}
@@ -1,34 +1,261 @@
 import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+import { classifyPose, palmLength, INDEX, MIDDLE } from './HandPose.js';
+import { MotionGestures } from './MotionGestures.js';
+import { GestureStateMachine } from './GestureStateMachine.js';
+import { InputController } from './InputController.js';
+import { createConfig } from './config.js';
 
-export class GestureController {
-    constructor(videoElement) {
+// The WASM runtime is bundled by Vite straight from the npm package, so it always
+// matches the JS API version and works without internet access.
+import wasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_internal.js?url';
+import wasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_internal.wasm?url';
+import wasmNoSimdLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.js?url';
+import wasmNoSimdBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.wasm?url';
+
+// Served from public/ (see `npm run fetch-model`); config.modelFallbackPath is only tried if that is missing
+const LOCAL_MODEL_URL = `${import.meta.env.BASE_URL}models/hand_landmarker.task`;
+
+// Format of startRecording()/replay() landmark streams; bump when it changes
+const RECORDING_VERSION = 1;
+
+// The worker gets this long to load the WASM runtime and the model before the main thread takes over
+const WORKER_TIMEOUT = 20000; // ms
+
+export class GestureController extends InputController {
+    // `config` is the gestures section of config.js: model/WASM paths, delegate
+    // ('GPU' falls back to CPU if it can't start) and the live-tunable thresholds
+    constructor(videoElement, config = createConfig().gestures) {
+        super();
         this.video = videoElement;
+        this.config = config;
+        this.delegate = null; // The delegate that actually started
         this.handLandmarker = null;
+        this.model = null; // Model bytes, kept to restart on the main thread if the worker dies
         this.runningMode = 'VIDEO';
         this.lastVideoTime = -1;
-        this.listeners = {
-            fist: [],
-            open: [],
-            move: []
+        this.lastInferenceTime = -Infinity;
+        this.worker = null; // Runs the model off the main thread when config.worker allows
+        this.pending = false; // A frame is with the worker
+        this.live = false; // Reading the camera (not a replay)
+        this.frame = null; // requestAnimationFrame id of the predictWebcam() loop
+        this.paused = false;
+        this.disposed = false;
+        // Measured inference cadence and cost, for the stats overlay
+        this.inferenceRate = 0; // Hz
+        this.inferenceMs = 0;
+        this.inferenceCount = 0;
+        this.inferenceWindowStart = performance.now();
+        this.inferenceInterval = 33; // ms between results, smoothed; paces the interpolation
+        this.lastResultTime = null;
+        // Each hand keeps its own gesture state so both can hold different poses
+        this.hands = {
+            Left: this.createHandState(),
+            Right: this.createHandState()
         };
+        this.twoHands = null; // Baseline distance/angle while both hands are up
+        this.recording = null; // Frames captured since startRecording()
+        this.replaying = null; // Token of the running replay, cleared to stop it
     }
 
+    createHandState() {
+        return {
+            visible: false,
+            landmarks: null,
+            // Landmarks shown between model runs: eased from `origin` to `target` (the latest result)
+            tracked: null,
+            origin: null,
+            target: null,
+            targetTime: 0,
+            states: new GestureStateMachine(this.config),
+            motion: new MotionGestures(this.config.motion)
+        };
+    }
+
+    // Can be disposed while this is still loading; it then releases what it got and resolves
     async initialize() {
-        const vision = await FilesetResolver.forVisionTasks(
-            'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm'
-        );
-
-        this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-                delegate: 'GPU'
-            },
-            runningMode: this.runningMode,
-            numHands: 1
-        });
+        const modelAssetBuffer = await this.loadModel();
+        if (this.disposed) return;
+        this.model = modelAssetBuffer;
+
+        if (this.config.worker && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            try {
+                await this.startWorker(modelAssetBuffer.slice());
+            } catch (error) {
+                console.warn('Hand model worker failed, running it on the main thread:', error);
+                this.stopWorker();
+            }
+        }
+        if (!this.worker && !this.disposed) await this.startMainThread();
+        if (this.disposed) {
+            this.dispose();
+            return;
+        }
 
         await this.setupCamera();
-        this.predictWebcam();
+        if (this.disposed) {
+            this.dispose();
+            return;
+        }
+        this.live = true;
+        if (!this.paused) this.predictWebcam();
+    }
+
+    // Stops running the model (the camera stays on, so resume() is instant); visible hands are lost
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        if (this.live) this.processFrame([], performance.now());
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        if (this.live) this.predictWebcam();
+    }
+
+    // Releases the camera, the model (and its worker) and every listener
+    dispose() {
+        this.disposed = true;
+        this.stopReplay();
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.live = false;
+        this.stopWorker();
+        if (this.handLandmarker) this.handLandmarker.close();
+        this.handLandmarker = null;
+        this.model = null;
+
+        const stream = this.video.srcObject;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        this.video.srcObject = null;
+        super.dispose();
+    }
+
+    // Resolves once the worker has the model running; rejects if it fails or takes longer than WORKER_TIMEOUT
+    startWorker(model) {
+        this.worker = new Worker(new URL('./landmarkWorker.js', import.meta.url), { type: 'module' });
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error(`worker not ready after ${WORKER_TIMEOUT / 1000} s`)), WORKER_TIMEOUT);
+            const fail = (error) => {
+                clearTimeout(timeout);
+                reject(error);
+            };
+            this.worker.onerror = (event) => fail(new Error(event.message || 'worker failed to load'));
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    clearTimeout(timeout);
+                    this.delegate = data.delegate;
+                    this.worker.onmessage = ({ data: message }) => this.onWorkerMessage(message);
+                    this.worker.onerror = (event) => this.onWorkerCrash(event);
+                    resolve();
+                } else if (data.type === 'error') {
+                    fail(new Error(data.message));
+                }
+            };
+            this.worker.postMessage({
+                type: 'init',
+                model,
+                delegate: this.config.delegate,
+                numHands: this.config.numHands,
+                wasmPath: this.config.wasmPath
+            }, [model.buffer]);
+        });
+    }
+
+    stopWorker() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.pending = false;
+    }
+
+    // The worker died while running: carry on without it, as when it fails to start
+    onWorkerCrash(event) {
+        console.warn('Hand model worker crashed, running it on the main thread:', event.message || event);
+        this.stopWorker();
+        this.startMainThread().catch(error => console.error('Hand model failed to start on the main thread:', error));
+    }
+
+    async startMainThread() {
+        const vision = await this.loadFileset();
+        const landmarker = await this.createLandmarker(vision, this.model, this.config.delegate);
+        if (this.disposed) {
+            landmarker.close();
+            return;
+        }
+        this.handLandmarker = landmarker;
+    }
+
+    onWorkerMessage(message) {
+        this.pending = false;
+        if (this.paused) return;
+        if (message.type === 'error') {
+            console.warn('Hand detection failed:', message.message);
+            return;
+        }
+        this.measureInference(message.time, performance.now());
+        this.processResults(message, message.time);
+    }
+
+    // Hands the current video frame to the worker without copying it; only one is in flight at a time
+    async sendFrame(time) {
+        this.pending = true;
+        try {
+            const frame = typeof VideoFrame !== 'undefined'
+                ? new VideoFrame(this.video, { timestamp: Math.round(time * 1000) })
+                : await createImageBitmap(this.video);
+            if (!this.worker) {
+                frame.close();
+                return;
+            }
+            this.worker.postMessage({ type: 'detect', frame, time }, [frame]);
+        } catch (error) {
+            // The video can be between frames (e.g. while the camera restarts)
+            this.pending = false;
+        }
+    }
+
+    async loadFileset() {
+        if (this.config.wasmPath) {
+            return FilesetResolver.forVisionTasks(this.config.wasmPath);
+        }
+
+        const simd = await FilesetResolver.isSimdSupported();
+        return {
+            wasmLoaderPath: simd ? wasmLoaderUrl : wasmNoSimdLoaderUrl,
+            wasmBinaryPath: simd ? wasmBinaryUrl : wasmNoSimdBinaryUrl
+        };
+    }
+
+    async loadModel() {
+        const { modelFallbackPath } = this.config;
+        const modelAssetPath = this.config.modelAssetPath || LOCAL_MODEL_URL;
+
+        try {
+            return await fetchBytes(modelAssetPath);
+        } catch (error) {
+            if (!modelFallbackPath) throw error;
+            console.warn(`${error.message}, trying ${modelFallbackPath}`);
+            return fetchBytes(modelFallbackPath);
+        }
+    }
+
+    async createLandmarker(vision, modelAssetBuffer, delegate) {
+        try {
+            const landmarker = await HandLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetBuffer, delegate },
+                runningMode: this.runningMode,
+                numHands: this.config.numHands
+            });
+            this.delegate = delegate;
+            return landmarker;
+        } catch (error) {
+            if (delegate !== 'GPU') throw error;
+            console.warn('GPU delegate failed, falling back to CPU:', error);
+            return this.createLandmarker(vision, modelAssetBuffer, 'CPU');
+        }
     }
 
     async setupCamera() {
@@ -57,19 +284,192 @@ export class GestureController {
         // Now let's detect the hand
         let startTimeMs = performance.now();
 
-        if (this.lastVideoTime !== this.video.currentTime) {
+        // config.inferenceFps caps how often the model runs, independently of rendering
+        // (0 runs it on every new video frame); a couple of ms of slack absorbs rAF jitter
+        const interval = this.config.inferenceFps > 0 ? 1000 / this.config.inferenceFps : 0;
+        const due = startTimeMs - this.lastInferenceTime >= interval - 2;
+
+        // Neither is there for a moment while a crashed worker's job moves to the main thread
+        const ready = this.worker || this.handLandmarker;
+        if (ready && due && !this.pending && this.lastVideoTime !== this.video.currentTime) {
             this.lastVideoTime = this.video.currentTime;
-            const results = this.handLandmarker.detectForVideo(this.video, startTimeMs);
+            this.lastInferenceTime = startTimeMs;
+            if (this.worker) {
+                this.sendFrame(startTimeMs);
+            } else {
+                const results = this.handLandmarker.detectForVideo(this.video, startTimeMs);
+                this.measureInference(startTimeMs, performance.now());
 
-            if (results.landmarks && results.landmarks.length > 0) {
-                this.processGestures(results.landmarks[0]);
+                this.processResults(results, startTimeMs);
             }
         }
 
-        window.requestAnimationFrame(() => this.predictWebcam());
+        if (this.interpolating) this.updateTracking(startTimeMs);
+
+        this.frame = window.requestAnimationFrame(() => this.predictWebcam());
+    }
+
+    // `start` is when the frame was captured, so with the worker this includes the round trip
+    measureInference(start, end) {
+        this.inferenceMs += (end - start - this.inferenceMs) * 0.1;
+        if (this.lastResultTime !== null) {
+            this.inferenceInterval += (end - this.lastResultTime - this.inferenceInterval) * 0.2;
+        }
+        this.lastResultTime = end;
+        this.inferenceCount++;
+        if (end - this.inferenceWindowStart >= 1000) {
+            this.inferenceRate = this.inferenceCount * 1000 / (end - this.inferenceWindowStart);
+            this.inferenceCount = 0;
+            this.inferenceWindowStart = end;
+        }
+    }
+
+    processResults(results, time) {
+        const hands = [];
+
+        (results.landmarks || []).forEach((landmarks, i) => {
+            const category = results.handedness && results.handedness[i] && results.handedness[i][0];
+            let hand = category ? handLabel(category.categoryName) : 'Right';
+            // The model occasionally labels both hands the same; keep them apart
+            if (hands.some(h => h.handedness === hand)) hand = hand === 'Left' ? 'Right' : 'Left';
+            hands.push({ landmarks, handedness: hand, score: category ? category.score : 1 });
+        });
+
+        this.processFrame(hands, time);
+    }
+
+    // One frame of detected hands, [{ landmarks, handedness, score }], from the camera or a replay
+    processFrame(hands, time) {
+        if (this.recording) this.recordFrame(hands, time);
+
+        hands.forEach(({ landmarks, handedness, score }) => {
+            this.processGestures(landmarks, time, { categoryName: handedness, score });
+        });
+
+        Object.keys(this.hands).forEach(hand => {
+            if (!hands.some(h => h.handedness === hand)) this.processHandLost(hand, time);
+        });
+
+        // While interpolating, updateTracking() handles the two-hand gesture every frame
+        if (!this.interpolating) this.processTwoHands();
+    }
+
+    // The live camera eases pointer/move/twohands between model runs (config.interpolate);
+    // replays keep emitting exactly what each recorded frame says
+    get interpolating() {
+        return this.live && this.config.interpolate;
+    }
+
+    // Called every animation frame while interpolating: moves each hand's tracked landmarks
+    // along from where they were shown towards the latest result, arriving about when the
+    // next one is due, and emits the continuous events from them
+    updateTracking(now) {
+        Object.entries(this.hands).forEach(([hand, state]) => {
+            if (!state.visible || !state.target) return;
+            const t = Math.min(Math.max((now - state.targetTime) / this.inferenceInterval, 0), 1);
+            state.tracked.forEach((point, i) => {
+                const from = state.origin[i];
+                const to = state.target[i];
+                point.x = from.x + (to.x - from.x) * t;
+                point.y = from.y + (to.y - from.y) * t;
+                point.z = from.z + (to.z - from.z) * t;
+            });
+            this.emitTracking(hand, state.tracked);
+        });
+
+        const left = this.hands.Left.visible ? this.hands.Left.tracked : null;
+        const right = this.hands.Right.visible ? this.hands.Right.tracked : null;
+        this.processTwoHands(left, right);
+    }
+
+    // A new result becomes the target; the easing restarts from wherever the hand is shown now
+    retarget(state, landmarks) {
+        const copy = points => points.map(({ x, y, z }) => ({ x, y, z }));
+        if (!state.tracked) state.tracked = copy(landmarks);
+        state.origin = copy(state.tracked);
+        state.target = landmarks;
+        state.targetTime = performance.now();
+    }
+
+    // Captures every camera frame (including the empty ones) until stopRecording()
+    startRecording() {
+        this.recording = { version: RECORDING_VERSION, startTime: null, frames: [] };
+    }
+
+    // Returns { version, frames: [{ time, hands: [{ handedness, score, landmarks: [[x, y, z], ...] }] }] },
+    // times in ms from the first frame; JSON.stringify it to save
+    stopRecording() {
+        const recording = this.recording;
+        this.recording = null;
+        if (!recording) return null;
+        return { version: recording.version, frames: recording.frames };
+    }
+
+    recordFrame(hands, time) {
+        const recording = this.recording;
+        if (recording.startTime === null) recording.startTime = time;
+
+        const round = value => Math.round(value * 10000) / 10000;
+        recording.frames.push({
+            time: Math.round(time - recording.startTime),
+            hands: hands.map(({ landmarks, handedness, score }) => ({
+                handedness,
+                score: round(score),
+                landmarks: landmarks.map(({ x, y, z }) => [round(x), round(y), round(z)])
+            }))
+        });
+    }
+
+    // Feeds a recording through processFrame() exactly as the camera would have. Event
+    // times come from the recording, so classification is the same on every run. By default
+    // frames play on their original schedule; with `realtime: false` they are all processed
+    // at once (for tests; `loop` needs realtime). Resolves when the recording ends or stopReplay() is called.
+    async replay(recording, { realtime = true, speed = 1, loop = false } = {}) {
+        if (!recording || recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported gesture recording (version ${recording && recording.version})`);
+        }
+
+        const token = {};
+        this.replaying = token;
+        const frames = recording.frames.map(frame => ({
+            time: frame.time,
+            hands: frame.hands.map(({ handedness, score, landmarks }) => ({
+                handedness,
+                score,
+                landmarks: landmarks.map(([x, y, z]) => ({ x, y, z }))
+            }))
+        }));
+        const duration = frames.length ? frames[frames.length - 1].time + 1 : 0;
+
+        let offset = performance.now();
+        do {
+            const wallStart = performance.now();
+            for (const frame of frames) {
+                if (realtime) {
+                    // Wait for the frame's moment on the (possibly sped up) original schedule
+                    while (performance.now() - wallStart < frame.time / speed) {
+                        await new Promise(resolve => window.requestAnimationFrame(resolve));
+                        if (this.replaying !== token) return;
+                    }
+                }
+                if (this.replaying !== token) return;
+                this.processFrame(frame.hands, offset + frame.time);
+            }
+            offset += duration;
+        } while (loop && realtime && this.replaying === token);
+
+        this.processFrame([], offset);
+        if (this.replaying === token) this.replaying = null;
+    }
+
+    stopReplay() {
+        if (!this.replaying) return;
+        this.replaying = null;
+        this.processFrame([], performance.now());
     }
 
-    processGestures(landmarks) {
+    // `handedness` is { categoryName: 'Left' | 'Right', score } from the user's point of view
+    processGestures(landmarks, time = performance.now(), handedness = null) {
         // 0 = Wrist
         // 8 = Index finger tip
         // 12 = Middle finger tip
@@ -77,49 +477,118 @@ export class GestureController {
         // 20 = Pinky tip
         // 4 = Thumb tip
 
-        // Simple logic: Check if fingertips are close to palm (wrist/bases)
-        // Actually, checking if tips are below a certain point relative to knuckles is better for "fist"
-        // But let's use a simpler heuristic: Average distance of tips to wrist.
+        const hand = handedness ? handedness.categoryName : 'Right';
+        const handScore = handedness ? handedness.score : 1;
+        const state = this.hands[hand];
 
-        const wrist = landmarks[0];
-        const tips = [8, 12, 16, 20].map(i => landmarks[i]);
-
-        // Calculate average distance from wrist to fingertips
-        let totalDist = 0;
-        tips.forEach(tip => {
-            const d = Math.sqrt(
-                Math.pow(tip.x - wrist.x, 2) +
-                Math.pow(tip.y - wrist.y, 2) +
-                Math.pow(tip.z - wrist.z, 2)
-            );
-            totalDist += d;
-        });
-        const avgDist = totalDist / 4;
+        if (!state.visible) {
+            state.visible = true;
+            this.emit('handfound', { handedness: hand, score: handScore });
+        }
+        state.landmarks = landmarks;
 
-        // Thresholds need tuning. 
-        // Open hand usually > 0.3 (normalized coords)
-        // Fist usually < 0.15
+        // Per-frame pose, debounced into start/end transitions
+        const { pose, score, fingers } = classifyPose(landmarks, state.states.current, this.config.thresholds);
+        const transitions = state.states.update(pose, score, handScore, time);
+        transitions.forEach(t => this.emitTransition(t, hand, { fingers }));
 
-        if (avgDist < 0.2) {
-            this.emit('fist');
-        } else if (avgDist > 0.3) {
-            this.emit('open');
+        // Swipes and circles from the palm's path
+        const gesture = state.motion.update(landmarks[MIDDLE[0]], time);
+        if (gesture) {
+            this.emit(gesture.type, { ...gesture, handedness: hand });
         }
 
+        if (this.interpolating) {
+            this.retarget(state, landmarks);
+        } else {
+            this.emitTracking(hand, landmarks);
+        }
+    }
+
+    // The continuous events: fingertip position and the wrist steering the camera
+    emitTracking(hand, landmarks) {
+        const wrist = landmarks[0];
+        const tip = landmarks[INDEX[3]];
+        this.emit('pointer', { x: 1 - tip.x, y: tip.y, handedness: hand, gesture: this.hands[hand].states.current });
+
         // Rotation based on x position of wrist
-        // x is 0 to 1. 
-        this.emit('move', wrist.x);
+        // x is 0 to 1. y (wrist height) and size (palm length, larger when closer) steer pitch and zoom
+        this.emit('move', wrist.x, { handedness: hand, y: wrist.y, size: palmLength(landmarks) });
+    }
+
+    processHandLost(hand, time = performance.now()) {
+        const state = this.hands[hand];
+        if (!state.visible) return;
+        state.visible = false;
+        state.landmarks = null;
+        state.tracked = null;
+        state.origin = null;
+        state.target = null;
+
+        state.states.reset(time).forEach(t => this.emitTransition(t, hand));
+        state.motion.reset();
+        this.emit('handlost', { handedness: hand });
     }
 
-    on(event, callback) {
-        if (this.listeners[event]) {
-            this.listeners[event].push(callback);
+    // Distance between the palms drives zoom, the slope of the line between them drives tilt
+    processTwoHands(left = this.hands.Left.landmarks, right = this.hands.Right.landmarks) {
+
+        if (!left || !right) {
+            if (this.twoHands) {
+                this.twoHands = null;
+                this.emit('twohandsend');
+            }
+            return;
+        }
+
+        // Mirror x so left/right match what the user sees
+        const l = left[MIDDLE[0]];
+        const r = right[MIDDLE[0]];
+        const dx = (1 - r.x) - (1 - l.x);
+        const dy = l.y - r.y; // Image y grows downward, so raising the right hand is positive
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const angle = Math.atan2(dy, dx);
+
+        if (!this.twoHands) {
+            this.twoHands = { distance, angle };
+            this.emit('twohandsstart', { distance, angle });
+            return;
         }
+
+        this.emit('twohands', {
+            distance,
+            angle,
+            zoom: distance / Math.max(this.twoHands.distance, 1e-3),
+            tilt: angle - this.twoHands.angle
+        });
     }
 
-    emit(event, data) {
-        if (this.listeners[event]) {
-            this.listeners[event].forEach(cb => cb(data));
+    visibleHands() {
+        return Object.keys(this.hands).filter(hand => this.hands[hand].visible);
+    }
+
+    emitTransition({ type, gesture, confidence, duration }, hand, extra = {}) {
+        if (type === 'start') {
+            // Named pose events (fist/open drive form/disperse)
+            this.emitGesture(gesture, hand, { confidence, ...extra });
+        } else {
+            this.emit('gestureend', { gesture, confidence, handedness: hand, duration, ...extra });
         }
     }
 }
+
+async function fetchBytes(url) {
+    const response = await fetch(url);
+    // Dev servers answer unknown paths with the index page instead of a 404
+    const type = response.headers.get('content-type') || '';
+    if (!response.ok || type.includes('text/html')) {
+        throw new Error(`Failed to load hand model from ${url} (${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// MediaPipe labels handedness as if the image were mirrored (selfie view),
+// but the frames we feed it are the raw, unmirrored camera image.
+function handLabel(categoryName) {
+    return categoryName === 'Left' ? 'Right' : 'Left';
+}
@@ -0,0 +1,78 @@
+import { defaultConfig } from './config.js';
+
+// Debounces per-frame pose classifications into gesture start/end transitions.
+// A new pose has to be seen for `enterFrames` consecutive frames before it replaces
+// the current one, and releasing a pose (no pose at all) needs `exitFrames`.
+
+export class GestureStateMachine {
+    // `config` is read live: { enterFrames, exitFrames }
+    constructor(config = defaultConfig.gestures) {
+        this.config = config;
+
+        this.current = null;
+        this.startTime = 0;
+        this.confidence = 0;
+
+        this.candidate = null;
+        this.candidateScores = [];
+    }
+
+    // Feeds one frame's classification. `handScore` is MediaPipe's handedness score,
+    // used as the detector's own confidence that this is a hand at all.
+    // Returns the transitions this frame caused, in order.
+    update(pose, score, handScore, time) {
+        if (pose !== this.candidate) {
+            this.candidate = pose;
+            this.candidateScores.length = 0;
+        }
+        this.candidateScores.push(score);
+        if (this.candidateScores.length > 30) this.candidateScores.shift();
+
+        if (pose === this.current) {
+            // Keep the held gesture's confidence fresh while it lasts
+            this.confidence = this.average() * handScore;
+            return [];
+        }
+
+        const needed = pose === null ? this.config.exitFrames : this.config.enterFrames;
+        if (this.candidateScores.length < needed) return [];
+
+        const transitions = this.end(time);
+        this.current = pose;
+        this.startTime = time;
+        this.confidence = this.average() * handScore;
+
+        if (pose !== null) {
+            transitions.push({ type: 'start', gesture: pose, confidence: this.confidence });
+        }
+        return transitions;
+    }
+
+    // Ends the held gesture immediately, e.g. when the hand leaves the frame
+    reset(time) {
+        const transitions = this.end(time);
+        this.current = null;
+        this.candidate = null;
+        this.candidateScores.length = 0;
+        return transitions;
+    }
+
+    end(time) {
+        if (this.current === null) return [];
+        return [{
+            type: 'end',
+            gesture: this.current,
+            confidence: this.confidence,
+            duration: time - this.startTime
+        }];
+    }
+
+    average() {
+        const scores = this.candidateScores;
+        let sum = 0;
+        scores.forEach(s => {
+            sum += s;
+        });
+        return scores.length ? sum / scores.length : 0;
+    }
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { createTransitionUniforms, transitionChunk } from './Transitions.js';
+
+// Particle morphing and force physics on the GPU (render-to-texture ping-pong).
+// Each particle owns one texel. Where a particle wants to be (its anchor) is
+// transitionAnchor(source, target, delay) from Transitions.js; the simulation only
+// integrates the offset from that anchor, so source/target (with the stagger delay
+// in the source's w) only need uploading when a morph starts.
+
+export const MAX_FORCES = 4;
+
+const velocityShader = `
+uniform sampler2D uSource;
+uniform sampler2D uTarget;
+uniform vec4 uForces[${MAX_FORCES}]; // xyz position (particle space), w radius
+uniform vec4 uForceParams[${MAX_FORCES}]; // x strength, y mode (0 repel, 1 attract, 2 swirl)
+uniform int uForceCount;
+uniform vec3 uSwirlAxis;
+uniform float uDamping;
+${transitionChunk}
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    vec4 source = texture2D(uSource, uv);
+    vec3 pos = transitionAnchor(source.xyz, texture2D(uTarget, uv).xyz, source.w) + offset;
+
+    for (int i = 0; i < ${MAX_FORCES}; i++) {
+        if (i >= uForceCount) break;
+
+        vec3 d = pos - uForces[i].xyz;
+        float dist = length(d);
+        float radius = uForces[i].w;
+        if (dist > radius || dist < 1e-3) continue;
+
+        float push = uForceParams[i].x * (1.0 - dist / radius) / dist;
+        if (uForceParams[i].y > 1.5) {
+            velocity += cross(uSwirlAxis, d) * push;
+        } else {
+            velocity += d * push * (uForceParams[i].y > 0.5 ? -1.0 : 1.0);
+        }
+    }
+
+    gl_FragColor = vec4(velocity * uDamping, 1.0);
+}
+`;
+
+const offsetShader = `
+uniform float uSpring;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+    // Spring back towards the anchor
+    gl_FragColor = vec4((offset + velocity) * uSpring, 1.0);
+}
+`;
+
+const FORCE_MODES = { repel: 0, attract: 1, swirl: 2 };
+
+export class GpuParticleSimulation {
+    // Float render targets are the one hard requirement; everything else is core WebGL2
+    static isSupported(renderer) {
+        return renderer.capabilities.maxVertexTextures > 0 &&
+            renderer.extensions.has('EXT_color_buffer_float');
+    }
+
+    // `transitionUniforms` are shared with the render material so both see the same morph
+    constructor(renderer, count, transitionUniforms = createTransitionUniforms()) {
+        this.count = count;
+        this.size = Math.ceil(Math.sqrt(count));
+
+        this.gpuCompute = new GPUComputationRenderer(this.size, this.size, renderer);
+
+        this.sourceTexture = this.gpuCompute.createTexture();
+        this.targetTexture = this.gpuCompute.createTexture();
+
+        this.offsetVariable = this.gpuCompute.addVariable('textureOffset', offsetShader, this.gpuCompute.createTexture());
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', velocityShader, this.gpuCompute.createTexture());
+        this.gpuCompute.setVariableDependencies(this.offsetVariable, [this.offsetVariable, this.velocityVariable]);
+        this.gpuCompute.setVariableDependencies(this.velocityVariable, [this.offsetVariable, this.velocityVariable]);
+
+        Object.assign(this.velocityVariable.material.uniforms, {
+            uSource: { value: this.sourceTexture },
+            uTarget: { value: this.targetTexture },
+            uTransitionTime: transitionUniforms.uTransitionTime,
+            uStagger: transitionUniforms.uStagger,
+            uEasing: transitionUniforms.uEasing,
+            uPath: transitionUniforms.uPath,
+            uForces: { value: Array.from({ length: MAX_FORCES }, () => new THREE.Vector4()) },
+            uForceParams: { value: Array.from({ length: MAX_FORCES }, () => new THREE.Vector4()) },
+            uForceCount: { value: 0 },
+            uSwirlAxis: { value: new THREE.Vector3(0, 0, 1) },
+            uDamping: { value: 0.9 }
+        });
+        this.offsetVariable.material.uniforms.uSpring = { value: 0.94 };
+
+        const error = this.gpuCompute.init();
+        if (error !== null) {
+            this.gpuCompute.dispose();
+            throw new Error(error);
+        }
+    }
+
+    // Per-vertex lookup coordinates into the simulation textures
+    createReferences() {
+        const references = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            references[i * 2] = ((i % this.size) + 0.5) / this.size;
+            references[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        return references;
+    }
+
+    // Stagger delays ride along in the source texture's w
+    setSource(positions, delays) {
+        this.upload(this.sourceTexture, positions, delays);
+    }
+
+    setTarget(positions) {
+        this.upload(this.targetTexture, positions);
+    }
+
+    upload(texture, positions, w = null) {
+        const data = texture.image.data;
+        for (let i = 0; i < this.count; i++) {
+            data[i * 4] = positions[i * 3];
+            data[i * 4 + 1] = positions[i * 3 + 1];
+            data[i * 4 + 2] = positions[i * 3 + 2];
+            data[i * 4 + 3] = w ? w[i] : 1;
+        }
+        texture.needsUpdate = true;
+    }
+
+    // `forces` are already in particle space: [{ local, radius, strength, mode }],
+    // `physics` is { forceDamping, springBack } (ParticleTree's config)
+    update(forces, swirlAxis, physics) {
+        const uniforms = this.velocityVariable.material.uniforms;
+        uniforms.uDamping.value = physics.forceDamping;
+        this.offsetVariable.material.uniforms.uSpring.value = physics.springBack;
+        uniforms.uSwirlAxis.value.copy(swirlAxis);
+
+        const count = Math.min(forces.length, MAX_FORCES);
+        for (let i = 0; i < count; i++) {
+            const { local, radius, strength, mode } = forces[i];
+            uniforms.uForces.value[i].set(local.x, local.y, local.z, radius);
+            uniforms.uForceParams.value[i].set(strength, FORCE_MODES[mode] ?? 0, 0, 0);
+        }
+        uniforms.uForceCount.value = count;
+
+        this.gpuCompute.compute();
+    }
+
+    get offsetTexture() {
+        return this.gpuCompute.getCurrentRenderTarget(this.offsetVariable).texture;
+    }
+
+    dispose() {
+        this.gpuCompute.dispose();
+        this.sourceTexture.dispose();
+        this.targetTexture.dispose();
+    }
+}
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { lerpFactor } from './FrameClock.js';
+
+// A glowing ring in the scene where each hand (or the mouse) touches the tree's space,
+// so you can see what your fingertip is pushing. The color tells the force mode; a
+// cursor stays until remove() (the hand was lost), then fades out.
+
+const MODE_COLORS = { repel: '#ffffff', attract: '#7fd4ff', swirl: '#d49bff' };
+const FADE_FRAMES = 20;
+
+export class HandCursor {
+    // `config` is the hud section of config.js (read live)
+    constructor(scene, { config = createConfig().hud } = {}) {
+        this.scene = scene;
+        this.config = config;
+        this.cursors = new Map(); // id -> { sprite, target, life, removing }
+        this.texture = createRingTexture();
+    }
+
+    // `position` in world space, `mode` one of the force modes
+    set(id, position, mode = 'repel') {
+        let cursor = this.cursors.get(id);
+        if (!cursor) {
+            const material = new THREE.SpriteMaterial({
+                map: this.texture,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                depthTest: false,
+                transparent: true,
+                opacity: 0
+            });
+            cursor = { sprite: new THREE.Sprite(material), target: new THREE.Vector3(), life: 0, removing: false };
+            cursor.sprite.position.copy(position);
+            this.scene.add(cursor.sprite);
+            this.cursors.set(id, cursor);
+        }
+        cursor.target.copy(position);
+        cursor.life = FADE_FRAMES;
+        cursor.removing = false;
+        cursor.sprite.material.color.set(MODE_COLORS[mode] || MODE_COLORS.repel);
+    }
+
+    remove(id) {
+        const cursor = this.cursors.get(id);
+        if (cursor) cursor.removing = true;
+    }
+
+    update(steps = 1) {
+        const visible = this.config.cursor;
+        const follow = lerpFactor(0.35, steps);
+        this.cursors.forEach((cursor, id) => {
+            // Follows the hand smoothly
+            cursor.sprite.position.lerp(cursor.target, follow);
+            cursor.sprite.scale.setScalar(this.config.cursorSize);
+            cursor.sprite.material.opacity = visible ? Math.max(cursor.life, 0) / FADE_FRAMES * 0.8 : 0;
+            if (cursor.removing && (cursor.life -= steps) <= 0) {
+                this.scene.remove(cursor.sprite);
+                cursor.sprite.material.dispose();
+                this.cursors.delete(id);
+            }
+        });
+    }
+
+    dispose() {
+        this.cursors.forEach(cursor => {
+            this.scene.remove(cursor.sprite);
+            cursor.sprite.material.dispose();
+        });
+        this.cursors.clear();
+        this.texture.dispose();
+    }
+}
+
+function createRingTexture(size = 128) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const context = canvas.getContext('2d');
+    const center = size / 2;
+
+    const glow = context.createRadialGradient(center, center, size * 0.28, center, center, size * 0.5);
+    glow.addColorStop(0, 'rgba(255, 255, 255, 0)');
+    glow.addColorStop(0.35, 'rgba(255, 255, 255, 0.9)');
+    glow.addColorStop(0.5, 'rgba(255, 255, 255, 0.25)');
+    glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = glow;
+    context.fillRect(0, 0, size, size);
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.beginPath();
+    context.arc(center, center, size * 0.05, 0, Math.PI * 2);
+    context.fill();
+
+    return new THREE.CanvasTexture(canvas);
+}
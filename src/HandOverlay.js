@@ -0,0 +1,128 @@
+import { WRIST, THUMB, INDEX, MIDDLE, RING, PINKY } from './HandPose.js';
+import { createConfig } from './config.js';
+
+// Draws what the hand model sees on top of the webcam preview: the 21 landmarks, the
+// skeleton between them and the gesture each hand currently holds with its confidence.
+// Reads GestureController.hands every animation frame; the preview is mirrored, so x is too.
+
+const BONES = [
+    ...[THUMB, INDEX, MIDDLE, RING, PINKY].flatMap(finger => [WRIST, ...finger].slice(0, -1).map((start, i) => [start, finger[i]])),
+    [INDEX[0], MIDDLE[0]],
+    [MIDDLE[0], RING[0]],
+    [RING[0], PINKY[0]],
+    [WRIST, PINKY[0]]
+];
+
+const HAND_COLORS = { Left: '#7fd4ff', Right: '#ffb36b' };
+
+export class HandOverlay {
+    // `config` is the hud section of config.js (read live)
+    constructor(canvas, video, gestureController, { config = createConfig().hud } = {}) {
+        this.canvas = canvas;
+        this.video = video;
+        this.gestures = gestureController;
+        this.config = config;
+        this.context = canvas.getContext('2d');
+        this.frame = null;
+    }
+
+    start() {
+        if (this.frame !== null) return;
+        const loop = () => {
+            this.draw();
+            this.frame = requestAnimationFrame(loop);
+        };
+        loop();
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.clear();
+    }
+
+    clear() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Matches the canvas to its box and works out where the object-fit: cover video lands in it
+    layout() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const videoWidth = this.video.videoWidth || width;
+        const videoHeight = this.video.videoHeight || height;
+        const scale = Math.max(width / videoWidth, height / videoHeight);
+        return {
+            ratio,
+            width: videoWidth * scale,
+            height: videoHeight * scale,
+            left: (width - videoWidth * scale) / 2,
+            top: (height - videoHeight * scale) / 2
+        };
+    }
+
+    draw() {
+        this.canvas.style.display = this.config.landmarks ? '' : 'none';
+        if (!this.config.landmarks) return;
+        const view = this.layout();
+        this.clear();
+
+        let row = 0;
+        Object.entries(this.gestures.hands).forEach(([hand, state]) => {
+            if (!state.landmarks) return;
+            const color = HAND_COLORS[hand];
+            const points = state.landmarks.map(({ x, y }) => [
+                view.left + (1 - x) * view.width,
+                view.top + y * view.height
+            ]);
+            this.drawSkeleton(points, color, view.ratio);
+
+            // The held gesture, plus the one being debounced in so a slow fist shows as "-> fist 2/4"
+            const states = state.states;
+            let label = `${hand}: ${states.current || '-'}`;
+            if (states.current) label += ` ${Math.round(states.confidence * 100)}%`;
+            if (states.candidate && states.candidate !== states.current) {
+                label += ` -> ${states.candidate} ${states.candidateScores.length}/${this.gestures.config.enterFrames}`;
+            }
+            this.drawLabel(label, color, view.ratio, row++);
+        });
+    }
+
+    drawSkeleton(points, color, ratio) {
+        const context = this.context;
+        context.strokeStyle = color;
+        context.lineWidth = 2 * ratio;
+        context.beginPath();
+        BONES.forEach(([a, b]) => {
+            context.moveTo(points[a][0], points[a][1]);
+            context.lineTo(points[b][0], points[b][1]);
+        });
+        context.stroke();
+
+        context.fillStyle = '#fff';
+        points.forEach(([x, y]) => {
+            context.beginPath();
+            context.arc(x, y, 2.5 * ratio, 0, Math.PI * 2);
+            context.fill();
+        });
+    }
+
+    drawLabel(text, color, ratio, row) {
+        const context = this.context;
+        const size = 12 * ratio;
+        const x = 8 * ratio;
+        const y = 8 * ratio + row * (size + 6 * ratio);
+        context.font = `600 ${size}px system-ui, sans-serif`;
+        context.textBaseline = 'top';
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.fillRect(x - 4 * ratio, y - 3 * ratio, context.measureText(text).width + 8 * ratio, size + 6 * ratio);
+        context.fillStyle = color;
+        context.fillText(text, x, y);
+    }
+}
@@ -0,0 +1,128 @@
+import { defaultConfig } from './config.js';
+
+// Static hand pose classification from the 21 MediaPipe hand landmarks.
+// https://ai.google.dev/edge/mediapipe/solutions/vision/hand_landmarker#models
+// Every measure is divided by the palm length so thresholds hold at any distance from the camera.
+
+export const WRIST = 0;
+export const THUMB = [1, 2, 3, 4]; // CMC, MCP, IP, TIP
+export const INDEX = [5, 6, 7, 8]; // MCP, PIP, DIP, TIP
+export const MIDDLE = [9, 10, 11, 12];
+export const RING = [13, 14, 15, 16];
+export const PINKY = [17, 18, 19, 20];
+
+const FINGERS = { index: INDEX, middle: MIDDLE, ring: RING, pinky: PINKY };
+
+export const POSES = ['pinch', 'fist', 'open', 'point', 'victory', 'three', 'thumbsup'];
+
+// Where each measure counts as a fully confident pose (the enter/exit thresholds live in config.js)
+const FULL = {
+    fist: 0.9, // Openness, palm lengths
+    open: 2.0,
+    pinch: 0.1, // Thumb-index tip gap, palm lengths
+    extended: 1.5, // Tip/PIP distance ratio from the wrist
+    curled: 0.9
+};
+
+export function distance(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow(a.z - b.z, 2)
+    );
+}
+
+// Wrist to middle-finger knuckle: stable regardless of which fingers are curled
+export function palmLength(landmarks) {
+    return distance(landmarks[WRIST], landmarks[MIDDLE[0]]);
+}
+
+// Average fingertip distance from the wrist in palm lengths: ~0.9 for a fist, ~2 for an open hand
+export function openness(landmarks) {
+    const wrist = landmarks[WRIST];
+    let total = 0;
+    [INDEX, MIDDLE, RING, PINKY].forEach(finger => {
+        total += distance(landmarks[finger[3]], wrist);
+    });
+    return total / 4 / palmLength(landmarks);
+}
+
+// 0.5 right at the threshold, rising to 1 at `full` (which may lie on either side)
+function margin(value, threshold, full) {
+    const t = (value - threshold) / (full - threshold);
+    return 0.5 + 0.5 * Math.min(Math.max(t, 0), 1);
+}
+
+// A finger is extended when its tip is clearly further from the wrist than its middle joint.
+// Curled fingers fold the tip back towards the palm so the ratio drops below 1.
+function fingerRatio(landmarks, [, pip, , tip]) {
+    const wrist = landmarks[WRIST];
+    return distance(landmarks[tip], wrist) / distance(landmarks[pip], wrist);
+}
+
+// The thumb bends sideways, so compare against the pinky knuckle instead of the wrist
+function isThumbExtended(landmarks) {
+    const pinkyBase = landmarks[PINKY[0]];
+    const tip = landmarks[THUMB[3]];
+    const ip = landmarks[THUMB[2]];
+    return distance(tip, pinkyBase) > distance(ip, pinkyBase) * 1.1 &&
+        distance(tip, landmarks[INDEX[0]]) > palmLength(landmarks) * 0.5;
+}
+
+export function fingerStates(landmarks, thresholds = defaultConfig.gestures.thresholds) {
+    const states = { thumb: isThumbExtended(landmarks) };
+    for (const [name, finger] of Object.entries(FINGERS)) {
+        states[name] = fingerRatio(landmarks, finger) > thresholds.fingerExtended;
+    }
+    return states;
+}
+
+// How decisively each finger is in its extended/curled state, worst finger wins
+function fingerScore(landmarks, fingers, thresholds) {
+    let score = 1;
+    for (const [name, finger] of Object.entries(FINGERS)) {
+        const ratio = fingerRatio(landmarks, finger);
+        score = Math.min(score, margin(ratio, thresholds.fingerExtended, fingers[name] ? FULL.extended : FULL.curled));
+    }
+    return score;
+}
+
+// Returns { pose, score, fingers, openness }. `previous` is the pose currently held,
+// which switches that pose to its (looser) exit threshold: once a pose is held
+// it takes a clearly different hand to leave it.
+export function classifyPose(landmarks, previous = null, thresholds = defaultConfig.gestures.thresholds) {
+    const palm = palmLength(landmarks);
+    const fingers = fingerStates(landmarks, thresholds);
+    const { thumb, index, middle, ring, pinky } = fingers;
+    const open = openness(landmarks);
+    const result = (pose, score) => ({ pose, score, fingers, openness: open });
+
+    const { fistEnter, fistExit, openEnter, openExit, pinchEnter, pinchExit } = thresholds;
+    const curled = !index && !middle && !ring && !pinky;
+    const wasFist = previous === 'fist' || previous === 'thumbsup';
+    // Only the index finger matters for telling a loose fist from pointing
+    if ((open < (wasFist ? fistExit : fistEnter) && !index) || curled) {
+        // Thumbs-up: thumb sticking out and pointing up (image y grows downward)
+        const tip = landmarks[THUMB[3]];
+        const mcp = landmarks[THUMB[1]];
+        const pose = thumb && mcp.y - tip.y > palm * 0.5 ? 'thumbsup' : 'fist';
+        return result(pose, margin(open, fistEnter, FULL.fist));
+    }
+
+    // Thumb and index tips touching. Checked after fist, where the thumb often rests on the index
+    const pinchGap = distance(landmarks[THUMB[3]], landmarks[INDEX[3]]) / palm;
+    if (pinchGap < (previous === 'pinch' ? pinchExit : pinchEnter)) {
+        return result('pinch', margin(pinchGap, pinchEnter, FULL.pinch));
+    }
+
+    if (open > (previous === 'open' ? openExit : openEnter) && index && middle && ring && pinky) {
+        return result('open', margin(open, openEnter, FULL.open));
+    }
+
+    let pose = null;
+    if (index && !middle && !ring && !pinky) pose = 'point';
+    else if (index && middle && !ring && !pinky) pose = 'victory';
+    else if (index && middle && ring && !pinky) pose = 'three';
+
+    return result(pose, pose ? fingerScore(landmarks, fingers, thresholds) : 0);
+}
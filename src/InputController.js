@@ -0,0 +1,78 @@
+// Shared event bus for every input source (camera gestures, mouse/touch, keyboard),
+// so the bindings in main.js work the same whichever one is driving the scene.
+
+export const INPUT_EVENTS = [
+    'fist',
+    'open',
+    'move',
+    // Debounced transitions, for every pose
+    'gesturestart',
+    'gestureend',
+    'handfound',
+    'handlost',
+    // Named poses, emitted once when a gesture starts
+    'pinch',
+    'point',
+    'victory',
+    'three',
+    'thumbsup',
+    // Dynamic gestures
+    'swipeleft',
+    'swiperight',
+    'swipeup',
+    'swipedown',
+    'circle',
+    // Both hands in view (or two fingers on a touch screen)
+    'twohandsstart',
+    'twohands',
+    'twohandsend',
+    // Index fingertip (or pointer) in mirrored screen space (0-1)
+    'pointer'
+];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether `args` have the shape the bindings expect for `event`: move is (x, { handedness, ... }),
+// twohandsend carries nothing and every other event one data object. Input from other
+// devices (the relay, RemoteController) is checked with this before anything acts on it.
+export function isValidInput(event, args) {
+    if (!INPUT_EVENTS.includes(event) || !Array.isArray(args)) return false;
+    if (event === 'move') return Number.isFinite(args[0]) && isObject(args[1]);
+    if (event === 'twohandsend') return true;
+    return isObject(args[0]);
+}
+
+export class InputController {
+    constructor() {
+        this.listeners = {};
+        INPUT_EVENTS.forEach(event => {
+            this.listeners[event] = [];
+        });
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, ...args) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(...args));
+        }
+    }
+
+    // Stops listening to the source; subclasses release what they hold
+    dispose() {
+        INPUT_EVENTS.forEach(event => {
+            this.listeners[event] = [];
+        });
+    }
+
+    // Emits a named pose the way GestureController does: transition first, then the pose itself
+    emitGesture(gesture, handedness = 'Right', extra = {}) {
+        const data = { gesture, confidence: 1, handedness, ...extra };
+        this.emit('gesturestart', data);
+        this.emit(gesture, data);
+    }
+}
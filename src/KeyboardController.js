@@ -0,0 +1,87 @@
+import { InputController } from './InputController.js';
+
+// Keyboard shortcuts emitting the same events as the gesture and pointer controllers.
+//   F / Enter      form (fist)          D / Space   disperse (open)
+//   ← / →          rotate               N / P       next / previous shape (swipes)
+//   + / -          zoom in / out        T / ↑ / ↓   next / next / previous theme (swipes)
+
+const ZOOM_STEP = 1.1;
+
+export class KeyboardController extends InputController {
+    constructor(target = window) {
+        super();
+        this.target = target;
+        this.handler = (e) => this.onKeyDown(e);
+    }
+
+    initialize() {
+        this.target.addEventListener('keydown', this.handler);
+    }
+
+    dispose() {
+        this.target.removeEventListener('keydown', this.handler);
+        super.dispose();
+    }
+
+    onKeyDown(e) {
+        // Don't steal keys from form fields (e.g. a tuning panel)
+        if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        switch (e.key) {
+            case 'f':
+            case 'F':
+            case 'Enter':
+                this.tapGesture('fist');
+                break;
+            case 'd':
+            case 'D':
+            case ' ':
+                this.tapGesture('open');
+                break;
+            case 'ArrowLeft':
+                this.emit('move', 0.7, { handedness: 'Right' });
+                break;
+            case 'ArrowRight':
+                this.emit('move', 0.3, { handedness: 'Right' }); // Mirrored like the camera
+                break;
+            case 'n':
+            case 'N':
+                this.emit('swiperight', { type: 'swiperight', handedness: 'Right' });
+                break;
+            case 'p':
+            case 'P':
+                this.emit('swipeleft', { type: 'swipeleft', handedness: 'Right' });
+                break;
+            case 't':
+            case 'T':
+            case 'ArrowUp':
+                this.emit('swipeup', { type: 'swipeup', handedness: 'Right' });
+                break;
+            case 'ArrowDown':
+                this.emit('swipedown', { type: 'swipedown', handedness: 'Right' });
+                break;
+            case '+':
+            case '=':
+                this.zoom(ZOOM_STEP);
+                break;
+            case '-':
+                this.zoom(1 / ZOOM_STEP);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // A key press is a whole gesture: it starts and ends right away, like a click on PointerController
+    tapGesture(gesture) {
+        this.emitGesture(gesture);
+        this.emit('gestureend', { gesture, confidence: 1, handedness: 'Right' });
+    }
+
+    zoom(factor) {
+        this.emit('twohandsstart', { distance: 1, angle: 0 });
+        this.emit('twohands', { distance: factor, angle: 0, zoom: factor, tilt: 0 });
+        this.emit('twohandsend');
+    }
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { themes } from './themes.js';
+import { createRandom } from './random.js';
+
+// Meteors drawn as camera-facing instanced quads: each one is a tapered ribbon from
+// its head back along its velocity, fading out towards the tail. A fixed pool of
+// `maxCount` slots is allocated once; ambient meteors, bursts and fingertip emissions
+// all come out of it, so the ambient count can change at runtime for free.
+
+const vertexShader = `
+attribute vec3 head;
+attribute vec3 velocity;
+attribute vec3 meteorColor;
+attribute vec2 trail; // x length, y width
+attribute float life; // 0 dead, 1 fully visible
+varying vec3 vColor;
+varying float vAlpha;
+varying float vEdge;
+
+void main() {
+    // position.x runs from the head (0) to the tail (1), position.y across the trail (-1 to 1)
+    vec3 direction = normalize(velocity + vec3(0.0, 0.0, 1e-6));
+    vec4 headView = modelViewMatrix * vec4(head, 1.0);
+    vec4 tailView = modelViewMatrix * vec4(head - direction * trail.x, 1.0);
+    vec4 viewPosition = mix(headView, tailView, position.x);
+
+    // Widen across the trail as the camera sees it, tapering to a point at the tail
+    vec2 along = tailView.xy - headView.xy;
+    vec2 side = length(along) > 1e-5 ? normalize(vec2(-along.y, along.x)) : vec2(0.0, 1.0);
+    viewPosition.xy += side * position.y * trail.y * (1.0 - position.x);
+
+    vColor = meteorColor;
+    vAlpha = life * pow(1.0 - position.x, 1.5);
+    vEdge = position.y;
+    gl_Position = life > 0.0 ? projectionMatrix * viewPosition : vec4(2.0, 2.0, 2.0, 1.0);
+}
+`;
+
+const fragmentShader = `
+varying vec3 vColor;
+varying float vAlpha;
+varying float vEdge;
+
+void main() {
+    // Soft core, transparent edges
+    gl_FragColor = vec4(vColor, vAlpha * (1.0 - vEdge * vEdge));
+}
+`;
+
+const AMBIENT_MAX_AGE = 600; // Frames; ambient meteors normally fly out of bounds first
+const BOUNDS = 50; // Past the edges of a wide screen at the meteors' depth
+
+export class MeteorSystem {
+    // `config` is the meteors section of config.js (read live, except maxCount);
+    // `random` comes from random.js
+    constructor(scene, { config = createConfig().meteors, theme = themes.blossom, random = createRandom() } = {}) {
+        this.scene = scene;
+        this.config = config;
+        this.random = random;
+        this.palette = theme.meteors;
+        this.capacity = config.maxCount;
+
+        this.age = new Float32Array(this.capacity);
+        this.maxAge = new Float32Array(this.capacity);
+        this.alive = new Uint8Array(this.capacity);
+        this.ambient = new Uint8Array(this.capacity);
+        this.ambientCount = 0;
+        this.spawnBudget = 0;
+        this.pending = []; // Scheduled burst meteors: { delay, angle }
+        this.density = 1; // Share of config.count kept in the sky, lowered by the quality governor
+
+        this.color = new THREE.Color();
+        this.direction = new THREE.Vector3();
+        this.start = new THREE.Vector3();
+
+        this.initMesh();
+
+        // Start with the sky already populated, spread along their paths
+        for (let i = 0; i < this.config.count && i < this.capacity; i++) {
+            this.spawnCrossing({ randomStart: true });
+        }
+    }
+
+    initMesh() {
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([
+            0, -1, 0, 0, 1, 0, 1, -1, 0, 1, 1, 0
+        ]), 3));
+        geometry.setIndex([0, 2, 1, 1, 2, 3]);
+
+        const instanced = (itemSize) => {
+            const attribute = new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * itemSize), itemSize);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            return attribute;
+        };
+        this.heads = instanced(3);
+        this.velocities = instanced(3);
+        this.colors = instanced(3);
+        this.trails = instanced(2);
+        this.lives = instanced(1);
+        geometry.setAttribute('head', this.heads);
+        geometry.setAttribute('velocity', this.velocities);
+        geometry.setAttribute('meteorColor', this.colors);
+        geometry.setAttribute('trail', this.trails);
+        geometry.setAttribute('life', this.lives);
+        geometry.instanceCount = 0;
+        this.geometry = geometry;
+
+        const material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true,
+            side: THREE.DoubleSide,
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.frustumCulled = false; // Instances move every frame, the quad's bounds mean nothing
+        this.scene.add(this.mesh);
+    }
+
+    setTheme(theme) {
+        this.palette = theme.meteors;
+    }
+
+    // Unit vector in the screen plane for an angle in degrees (0 flies right, 90 up)
+    directionFromAngle(degrees, target = this.direction) {
+        const radians = THREE.MathUtils.degToRad(degrees);
+        return target.set(Math.cos(radians), Math.sin(radians), 0);
+    }
+
+    freeSlot() {
+        for (let i = 0; i < this.capacity; i++) {
+            if (!this.alive[i]) return i;
+        }
+        return -1;
+    }
+
+    // Low-level spawn; returns the slot or -1 when the pool is full
+    spawn(position, velocity, { maxAge = AMBIENT_MAX_AGE, length = this.config.trailLength, ambient = false } = {}) {
+        const i = this.freeSlot();
+        if (i === -1) return -1;
+
+        this.alive[i] = 1;
+        this.ambient[i] = ambient ? 1 : 0;
+        if (ambient) this.ambientCount++;
+        this.age[i] = 0;
+        this.maxAge[i] = maxAge;
+
+        this.heads.setXYZ(i, position.x, position.y, position.z);
+        this.velocities.setXYZ(i, velocity.x, velocity.y, velocity.z);
+        this.color.set(this.palette[Math.floor(this.random() * this.palette.length)]);
+        this.colors.setXYZ(i, this.color.r, this.color.g, this.color.b);
+        this.trails.setXY(i, length, this.config.trailWidth * (0.7 + this.random() * 0.6));
+        this.lives.setX(i, 0);
+
+        this.colors.needsUpdate = true;
+        this.trails.needsUpdate = true;
+        this.velocities.needsUpdate = true;
+        return i;
+    }
+
+    // Enters from off screen on the upwind side and crosses the sky behind the tree.
+    // Ambient meteors count towards config.count, burst ones come on top of it.
+    spawnCrossing({ angle = this.config.direction, randomStart = false, ambient = true } = {}) {
+        const { spread, speed, trailLength } = this.config;
+        const direction = this.directionFromAngle(angle + (this.random() - 0.5) * 2 * spread);
+
+        // Perpendicular offset so meteors cover the sky instead of one line
+        const across = (this.random() - 0.5) * 30;
+        this.start.set(-direction.x * 40 - direction.y * across, -direction.y * 40 + direction.x * across, 0);
+        if (randomStart) this.start.addScaledVector(direction, this.random() * 80);
+        this.start.z = this.random() * 10 - 20; // Behind tree mostly
+
+        const velocity = direction.multiplyScalar(speed * (0.7 + this.random() * 0.6));
+        return this.spawn(this.start, velocity, {
+            ambient,
+            length: trailLength * (0.5 + this.random())
+        });
+    }
+
+    // A meteor shower: `count` meteors over about a second, flying at `angle` degrees
+    burst({ count = this.config.burstCount, angle = this.config.direction } = {}) {
+        for (let i = 0; i < count; i++) {
+            this.pending.push({ delay: Math.floor(this.random() * 60), angle });
+        }
+    }
+
+    // Short-lived meteors from a world position, e.g. a fingertip; `direction` need not be normalized
+    emit(position, direction, { count = 1, speed = this.config.speed } = {}) {
+        const velocity = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            velocity.copy(direction).normalize();
+            velocity.x += (this.random() - 0.5) * 0.3;
+            velocity.y += (this.random() - 0.5) * 0.3;
+            velocity.setLength(speed * (0.6 + this.random() * 0.4));
+            this.spawn(position, velocity, { maxAge: 45, length: this.config.trailLength * 0.6 });
+        }
+    }
+
+    // Ambient meteors wanted right now
+    get ambientTarget() {
+        return Math.round(this.config.count * this.density);
+    }
+
+    // Fewer ambient meteors on slow devices; extra ones aren't replaced when they leave
+    setDensity(density) {
+        this.density = THREE.MathUtils.clamp(density, 0, 1);
+    }
+
+    kill(i) {
+        this.alive[i] = 0;
+        if (this.ambient[i]) this.ambientCount--;
+        this.lives.setX(i, 0);
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(steps = 1) {
+        // Keep the ambient population topped up at the configured rate (per second at 60 fps)
+        const target = this.ambientTarget;
+        this.spawnBudget = Math.min(this.spawnBudget + this.config.spawnRate / 60 * steps, target);
+        while (this.spawnBudget >= 1 && this.ambientCount < target) {
+            if (this.spawnCrossing() === -1) break;
+            this.spawnBudget--;
+        }
+
+        for (let p = this.pending.length - 1; p >= 0; p--) {
+            const scheduled = this.pending[p];
+            scheduled.delay -= steps;
+            if (scheduled.delay > 0) continue;
+            this.pending.splice(p, 1);
+            this.spawnCrossing({ angle: scheduled.angle, ambient: false });
+        }
+
+        const heads = this.heads.array;
+        const velocities = this.velocities.array;
+        let highest = -1;
+
+        for (let i = 0; i < this.capacity; i++) {
+            if (!this.alive[i]) continue;
+
+            heads[i * 3] += velocities[i * 3] * steps;
+            heads[i * 3 + 1] += velocities[i * 3 + 1] * steps;
+            heads[i * 3 + 2] += velocities[i * 3 + 2] * steps;
+            const age = this.age[i] += steps;
+
+            if (age > this.maxAge[i] || Math.abs(heads[i * 3]) > BOUNDS || Math.abs(heads[i * 3 + 1]) > BOUNDS) {
+                this.kill(i);
+                continue;
+            }
+
+            // Fade in over a few frames and out near the end of a short life
+            this.lives.setX(i, Math.min(age / 8, 1, (this.maxAge[i] - age) / 20));
+            highest = i;
+        }
+
+        this.geometry.instanceCount = highest + 1;
+        this.heads.needsUpdate = true;
+        this.lives.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
@@ -0,0 +1,94 @@
+import { defaultConfig } from './config.js';
+
+// Dynamic gestures (swipes and circles) detected from the palm's path over time.
+// Points are MediaPipe normalized image coordinates; the webcam is shown mirrored,
+// so x is flipped here to make directions match what the user sees.
+
+export class MotionGestures {
+    // `config` is read live. Distances are fractions of the frame, velocity in frames
+    // per second, windows and the cooldown between gestures in ms.
+    constructor(config = defaultConfig.gestures.motion) {
+        this.config = config;
+
+        this.history = [];
+        this.lastGestureTime = -Infinity;
+    }
+
+    reset() {
+        this.history.length = 0;
+    }
+
+    // Returns { type, ...details } when a gesture completes, otherwise null
+    update(point, time) {
+        this.history.push({ x: 1 - point.x, y: point.y, time });
+
+        // Keep only what the longest detector needs
+        while (this.history.length && time - this.history[0].time > this.config.circleWindow) {
+            this.history.shift();
+        }
+
+        if (time - this.lastGestureTime < this.config.cooldown) return null;
+
+        const gesture = this.detectSwipe(time) || this.detectCircle();
+        if (gesture) {
+            this.lastGestureTime = time;
+            this.reset();
+        }
+        return gesture;
+    }
+
+    detectSwipe(time) {
+        const latest = this.history[this.history.length - 1];
+        const start = this.history.find(p => time - p.time <= this.config.swipeWindow);
+        if (!start || start === latest) return null;
+
+        const dx = latest.x - start.x;
+        const dy = latest.y - start.y;
+        const dt = (latest.time - start.time) / 1000;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const velocity = dist / dt;
+
+        if (dist < this.config.swipeDistance || velocity < this.config.swipeVelocity) return null;
+
+        let type;
+        if (Math.abs(dx) > Math.abs(dy)) {
+            type = dx > 0 ? 'swiperight' : 'swipeleft';
+        } else {
+            type = dy > 0 ? 'swipedown' : 'swipeup'; // Image y grows downward
+        }
+        return { type, velocity, distance: dist };
+    }
+
+    detectCircle() {
+        const points = this.history;
+        if (points.length < 10) return null;
+
+        let cx = 0;
+        let cy = 0;
+        points.forEach(p => {
+            cx += p.x;
+            cy += p.y;
+        });
+        cx /= points.length;
+        cy /= points.length;
+
+        let radius = 0;
+        let sweep = 0;
+        let prevAngle = Math.atan2(points[0].y - cy, points[0].x - cx);
+        points.forEach(p => {
+            radius += Math.sqrt(Math.pow(p.x - cx, 2) + Math.pow(p.y - cy, 2));
+            const angle = Math.atan2(p.y - cy, p.x - cx);
+            let delta = angle - prevAngle;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+            sweep += delta;
+            prevAngle = angle;
+        });
+        radius /= points.length;
+
+        if (radius < this.config.circleMinRadius || Math.abs(sweep) < Math.PI * 1.8) return null;
+
+        // With y pointing down, a positive sweep is clockwise on screen
+        return { type: 'circle', direction: sweep > 0 ? 'clockwise' : 'counterclockwise', radius };
+    }
+}
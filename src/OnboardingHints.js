@@ -0,0 +1,64 @@
+// A short list of the gestures the tree understands. Each hint is ticked off and fades
+// away the first time its gesture is performed (by any input); the list disappears
+// once every hint is done. reset() brings them all back, e.g. for the next visitor.
+
+export const HINTS = [
+    { id: 'fist', icon: '✊', text: 'Make a fist to form the tree', events: ['fist'] },
+    { id: 'open', icon: '🖐', text: 'Open your hand to scatter it', events: ['open'] },
+    { id: 'swipe', icon: '👋', text: 'Swipe sideways for the next shape', events: ['swipeleft', 'swiperight'] },
+    { id: 'point', icon: '☝', text: 'Point at the tree to light an ornament', events: ['point'] },
+    { id: 'pinch', icon: '🤏', text: 'Pinch to pull the particles in', events: ['pinch'] },
+    { id: 'twohands', icon: '🙌', text: 'Move two hands apart to zoom', events: ['twohandsstart'] }
+];
+
+const FADE_MS = 600;
+
+export class OnboardingHints {
+    constructor(container, hints = HINTS) {
+        this.container = container;
+        this.hints = hints;
+        this.done = new Set();
+        this.items = new Map();
+
+        hints.forEach(hint => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span class="hint-icon"></span><span class="hint-text"></span>';
+            item.querySelector('.hint-icon').textContent = hint.icon;
+            item.querySelector('.hint-text').textContent = hint.text;
+            this.container.appendChild(item);
+            this.items.set(hint.id, item);
+        });
+    }
+
+    // Ticks hints off from an InputController's events
+    watch(input) {
+        this.hints.forEach(hint => {
+            hint.events.forEach(event => input.on(event, () => this.complete(hint.id)));
+        });
+    }
+
+    complete(id) {
+        if (this.done.has(id)) return;
+        this.done.add(id);
+
+        const item = this.items.get(id);
+        item.classList.add('done');
+        setTimeout(() => {
+            if (this.done.has(id)) item.classList.add('hidden');
+        }, FADE_MS);
+
+        if (this.done.size === this.hints.length) {
+            setTimeout(() => this.container.classList.add('hidden'), FADE_MS);
+        }
+    }
+
+    reset() {
+        this.done.clear();
+        this.items.forEach(item => item.classList.remove('done', 'hidden'));
+        this.container.classList.remove('hidden');
+    }
+
+    setVisible(visible) {
+        this.container.style.display = visible ? '' : 'none';
+    }
+}
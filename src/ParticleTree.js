@@ -1,28 +1,68 @@
 import * as THREE from 'three';
+import { ShapeLibrary } from './ShapeLibrary.js';
+import { GpuParticleSimulation } from './GpuParticleSimulation.js';
+import { createConfig } from './config.js';
+import { themes, samplePalette } from './themes.js';
+import { Transition, DISPERSE_TARGETS, createTransitionUniforms, transitionAnchor, transitionChunk } from './Transitions.js';
+import { createRandom } from './random.js';
+import { lerpFactor } from './FrameClock.js';
+
+const MAX_PHYSICS_STEPS = 4; // Per rendered frame, so a slow frame can't snowball
 
 const vertexShader = `
 uniform float uTime;
 uniform float uPixelRatio;
+uniform float uWind;
+uniform float uStyleMix;
+uniform float uPulse; // Audio: bass swell
+uniform float uShimmer; // Audio: treble flicker
 attribute float size;
 attribute vec3 customColor;
 attribute float opacity;
+// Look being faded towards (theme or shape change), blended by uStyleMix
+attribute float targetSize;
+attribute vec3 targetColor;
+attribute float targetOpacity;
+attribute float shimmer; // 0 for particles that never shimmer, otherwise a per-particle phase
 varying vec3 vColor;
 varying float vAlpha;
 
+#ifdef GPU_SIMULATION
+// Positions come from the simulation textures instead of the position attribute
+uniform sampler2D uSource;
+uniform sampler2D uTarget;
+uniform sampler2D uOffset;
+attribute vec2 reference;
+${transitionChunk}
+#endif
+
 void main() {
-    vColor = customColor;
-    vAlpha = opacity;
+    vColor = mix(customColor, targetColor, uStyleMix);
+    vAlpha = mix(opacity, targetOpacity, uStyleMix);
+    float pointSize = mix(size, targetSize, uStyleMix) * (1.0 + uPulse);
+
+    // Leaves flicker with the treble, each on its own phase
+    if (shimmer > 0.0) {
+        float flicker = 0.5 + 0.5 * sin(uTime * 30.0 + shimmer * 628.0);
+        vAlpha *= 1.0 + uShimmer * (flicker - 0.5) * 2.0;
+    }
     
-    // Minimal breathing
+#ifdef GPU_SIMULATION
+    vec4 source = texture2D(uSource, reference);
+    vec3 animatedPosition = transitionAnchor(source.xyz, texture2D(uTarget, reference).xyz, source.w);
+    animatedPosition += texture2D(uOffset, reference).xyz;
+#else
     vec3 animatedPosition = position;
-    // VERY subtle movement
-    // float wind = sin(uTime * 0.5 + position.x * 0.2) * 0.05;
-    // animatedPosition.x += wind;
+#endif
+
+    // Minimal breathing, VERY subtle movement (uWind is 0 by default)
+    float wind = sin(uTime * 0.5 + animatedPosition.x * 0.2) * uWind;
+    animatedPosition.x += wind;
 
     vec4 mvPosition = modelViewMatrix * vec4(animatedPosition, 1.0);
     
     // Size attenuation (doubled for visibility)
-    gl_PointSize = size * uPixelRatio * (12.0 / -mvPosition.z);
+    gl_PointSize = pointSize * uPixelRatio * (12.0 / -mvPosition.z);
     gl_Position = projectionMatrix * mvPosition;
 }
 `;
@@ -46,114 +86,188 @@ void main() {
 }
 `;
 
+// Aurora veil: a ring of soft blobs around the tree whose ribbons wave and drift with time
+const auroraVertexShader = `
+uniform float uTime;
+uniform float uPixelRatio;
+uniform float uIntensity;
+uniform float uSpeed;
+uniform vec3 uColorA;
+uniform vec3 uColorB;
+attribute vec4 ribbon; // x angle, y radius, z height, w phase
+attribute float size;
+attribute float opacity;
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+    float t = uTime * uSpeed;
+    float angle = ribbon.x + t * 0.1;
+
+    // Two sine layers give the slow curtain fold plus a faster ripple
+    float wave = sin(angle * 2.0 + t + ribbon.w) * 3.0 + sin(angle * 5.0 - t * 1.3) * 0.6;
+    vec3 animatedPosition = vec3(cos(angle) * ribbon.y, ribbon.z + wave, sin(angle) * ribbon.y);
+
+    // Color bands flow along the ribbon and up its height
+    float band = 0.5 + 0.5 * sin(angle * 3.0 + ribbon.z * 0.6 - t * 0.7);
+    vColor = mix(uColorA, uColorB, band);
+    vAlpha = opacity * uIntensity * (0.6 + 0.4 * sin(t * 2.0 + ribbon.w));
+
+    vec4 mvPosition = modelViewMatrix * vec4(animatedPosition, 1.0);
+    gl_PointSize = size * uPixelRatio * (12.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const auroraFragmentShader = `
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+    float dist = distance(gl_PointCoord, vec2(0.5));
+    if (dist > 0.5) discard;
+
+    // Very soft edges so the blobs melt into ribbons
+    float glow = pow(1.0 - dist * 2.0, 2.0);
+    gl_FragColor = vec4(vColor, vAlpha * glow);
+}
+`;
+
 export class ParticleTree {
-    constructor(scene) {
+    // options.renderer enables the GPU simulation, options.config is the tree section
+    // of config.js (read live, except count/simulation/auroraCount), options.theme one of themes.js,
+    // options.random the generator from random.js everything is sampled with
+    constructor(scene, options = {}) {
         this.scene = scene;
+        this.config = options.config || createConfig().tree;
+        this.renderer = options.renderer || null;
+        this.theme = options.theme || themes.blossom;
+        this.random = options.random || createRandom();
         this.particles = null;
-        this.meteors = null; // Line segments for meteors
+        this.auroraParticles = null;
+        this.simulation = null; // GpuParticleSimulation, or null for the CPU path
 
         // Tree config
-        this.treeCount = 20000; // High definition
-        this.meteorCount = 100; // Number of active meteors
+        this.treeCount = this.config.count; // High definition
+        this.auroraCount = this.config.auroraCount;
 
         // Geometry Data
         this.treeGeometry = new THREE.BufferGeometry();
-        this.meteorGeometry = new THREE.BufferGeometry();
+        this.auroraGeometry = new THREE.BufferGeometry();
 
         // Arrays for tree
         this.treePositions = new Float32Array(this.treeCount * 3);
+        this.treeSourcePositions = new Float32Array(this.treeCount * 3); // Where the current morph started
         this.treeTargetPositions = new Float32Array(this.treeCount * 3);
+        this.treeOffsets = new Float32Array(this.treeCount * 3); // Displacement from forces
         this.treeColors = new Float32Array(this.treeCount * 3);
         this.treeSizes = new Float32Array(this.treeCount);
         this.treeOpacities = new Float32Array(this.treeCount);
+        this.treeVelocities = new Float32Array(this.treeCount * 3);
+        this.treeDelays = new Float32Array(this.treeCount); // Stagger of the current transition, 0-1
+        this.anchor = new Float32Array(3);
+        this.treeTargetColors = new Float32Array(this.treeCount * 3); // Look being faded towards
+        this.treeTargetSizes = new Float32Array(this.treeCount);
+        this.treeTargetOpacities = new Float32Array(this.treeCount);
+
+        // What each particle is, so a theme change can restyle it without resampling the shape
+        this.typeNames = [];
+        this.treeTypes = new Uint8Array(this.treeCount);
+        this.treeFixedColors = new Int32Array(this.treeCount).fill(-1); // Shape-provided hex, -1 for none
+        this.treeFixedSizes = new Float32Array(this.treeCount).fill(NaN);
+        this.treeFixedOpacities = new Float32Array(this.treeCount).fill(NaN);
+        this.treeShimmer = new Float32Array(this.treeCount);
+
+        // Shapes list their parts in order (trunk first, then the canopy...), so particle i
+        // takes sample sampleOrder[i]: any prefix is then an even thinning of the whole
+        // shape and setDrawFraction() can hide the tail of the buffers
+        this.sampleOrder = shuffledIndices(this.treeCount, this.random);
+        this.drawFraction = 1;
+
+        // Force fields keyed by whoever drives them (a hand, the mouse, a touch id...)
+        this.forces = new Map();
+        this.swirlAxis = new THREE.Vector3(0, 0, 1);
 
         this.state = 'formed';
-        this.rotationSpeed = 0;
+        this.transition = new Transition({ duration: 0 }); // From treeSourcePositions to treeTargetPositions
+        this.transitionOptions = { duration: 0 }; // What the current transition was started with
+        this.disperseTarget = null;
+        this.styleMix = 1; // 0 at treeColors/Sizes/Opacities, 1 at their targets
+        this.physicsSteps = 0; // Physics time not simulated yet, in 60 Hz steps
+
+        // Formations the particles can morph into
+        this.shapes = new ShapeLibrary(this.config);
+        this.shapeName = 'banyan';
 
         this.uniforms = {
             uTime: { value: 0 },
             uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
+            uWind: { value: 0 },
+            ...createTransitionUniforms(),
+            uStyleMix: { value: 1 },
+            uPulse: { value: 0 },
+            uShimmer: { value: 0 },
+            uSource: { value: null },
+            uTarget: { value: null },
+            uOffset: { value: null },
         };
 
+        // Eased towards config.auroraIntensity (or 0 while disabled) in update()
+        this.auroraIntensity = 0;
+        this.auroraColors = [new THREE.Color(), new THREE.Color()];
+        this.auroraUniforms = {
+            uTime: this.uniforms.uTime,
+            uPixelRatio: this.uniforms.uPixelRatio,
+            uIntensity: { value: 0 },
+            uSpeed: { value: 1 },
+            uColorA: { value: new THREE.Color() },
+            uColorB: { value: new THREE.Color() },
+        };
+
+        this.initSimulation(this.config.simulation);
         this.initParticles();
-        this.initMeteors();
+        this.initAurora();
     }
 
-    initParticles() {
-        const color = new THREE.Color();
-
-        for (let i = 0; i < this.treeCount; i++) {
-            // Generate Banyan Shape
-            const { x, y, z, type } = this.getBanyanPosition(i);
-
-            // Set Positions
-            this.treePositions[i * 3] = x;
-            this.treePositions[i * 3 + 1] = y;
-            this.treePositions[i * 3 + 2] = z;
-
-            this.treeTargetPositions[i * 3] = x;
-            this.treeTargetPositions[i * 3 + 1] = y;
-            this.treeTargetPositions[i * 3 + 2] = z;
+    initSimulation(mode) {
+        if (mode === 'cpu') return;
 
-            // Colors & Sizes based on type
-            let size = 1.0;
-            let opacity = 1.0;
-
-            if (type === 'trunk') {
-                // Warm brown trunk
-                const r = Math.random();
-                if (r > 0.97) {
-                    // Golden highlights
-                    color.setHSL(0.08, 0.7, 0.6);
-                    size = 2.5;
-                } else {
-                    // Dark to medium brown
-                    color.setHSL(0.06, 0.4, 0.15 + (Math.random() * 0.25));
-                    size = 0.8 + Math.random() * 0.5;
-                }
-                opacity = 0.9;
-            } else if (type === 'root') {
-                // Lighter brown/grey roots
-                color.setHSL(0.08, 0.3, 0.35 + Math.random() * 0.15);
-                size = 0.7;
-                opacity = 0.7;
-            } else if (type === 'leaves') {
-                // Magical pink/purple/white gradient
-                const r = Math.random();
-                if (r > 0.85) {
-                    // Pure white sparkles
-                    color.setHex(0xffffff);
-                    size = 2.0;
-                    opacity = 1.0;
-                } else if (r > 0.65) {
-                    // Light pink
-                    color.setHSL(0.89, 1.0, 0.85); // hsl(320, 100%, 85%)
-                    size = 1.5 + Math.random() * 0.5;
-                    opacity = 0.95;
-                } else if (r > 0.35) {
-                    // Medium pink
-                    color.setHSL(0.86, 0.9, 0.75); // hsl(310, 90%, 75%)
-                    size = 1.3 + Math.random() * 0.5;
-                    opacity = 0.9;
-                } else {
-                    // Deep purple
-                    color.setHSL(0.81, 0.8, 0.70); // hsl(290, 80%, 70%)
-                    size = 1.2 + Math.random();
-                    opacity = 0.85;
-                }
-            }
+        if (!this.renderer || !GpuParticleSimulation.isSupported(this.renderer)) {
+            if (mode === 'gpu') console.warn('GPU particle simulation not supported here, using the CPU path');
+            return;
+        }
 
-            this.treeColors[i * 3] = color.r;
-            this.treeColors[i * 3 + 1] = color.g;
-            this.treeColors[i * 3 + 2] = color.b;
-            this.treeSizes[i] = size; // No huge multiplier
-            this.treeOpacities[i] = opacity;
+        try {
+            this.simulation = new GpuParticleSimulation(this.renderer, this.treeCount, this.uniforms);
+            this.uniforms.uSource.value = this.simulation.sourceTexture;
+            this.uniforms.uTarget.value = this.simulation.targetTexture;
+        } catch (error) {
+            console.warn('GPU particle simulation failed, using the CPU path:', error);
+            this.simulation = null;
         }
+    }
+
+    initParticles() {
+        this.applyShape(this.shapes.get(this.shapeName));
+        this.treeSourcePositions.set(this.treeTargetPositions);
+        this.treePositions.set(this.treeTargetPositions);
+        this.treeColors.set(this.treeTargetColors);
+        this.treeSizes.set(this.treeTargetSizes);
+        this.treeOpacities.set(this.treeTargetOpacities);
+        this.styleMix = 1;
+        this.uploadMorph();
 
         this.treeGeometry.setAttribute('position', new THREE.BufferAttribute(this.treePositions, 3));
+        if (this.simulation) {
+            this.treeGeometry.setAttribute('reference', new THREE.BufferAttribute(this.simulation.createReferences(), 2));
+        }
         this.treeGeometry.setAttribute('customColor', new THREE.BufferAttribute(this.treeColors, 3));
         this.treeGeometry.setAttribute('size', new THREE.BufferAttribute(this.treeSizes, 1));
         this.treeGeometry.setAttribute('opacity', new THREE.BufferAttribute(this.treeOpacities, 1));
+        this.treeGeometry.setAttribute('targetColor', new THREE.BufferAttribute(this.treeTargetColors, 3));
+        this.treeGeometry.setAttribute('targetSize', new THREE.BufferAttribute(this.treeTargetSizes, 1));
+        this.treeGeometry.setAttribute('targetOpacity', new THREE.BufferAttribute(this.treeTargetOpacities, 1));
+        this.treeGeometry.setAttribute('shimmer', new THREE.BufferAttribute(this.treeShimmer, 1));
 
         const material = new THREE.ShaderMaterial({
             uniforms: this.uniforms,
@@ -162,263 +276,429 @@ export class ParticleTree {
             blending: THREE.AdditiveBlending, // Additive for magical glow
             depthWrite: false,
             transparent: true,
+            defines: this.simulation ? { GPU_SIMULATION: '' } : {},
         });
 
         this.particles = new THREE.Points(this.treeGeometry, material);
+        // The position attribute is stale on the GPU path, so bounds can't be trusted
+        this.particles.frustumCulled = !this.simulation;
         this.scene.add(this.particles);
     }
 
-    initMeteors() {
-        // Line Segments for Meteors
-        // Each meteor has 2 points: Head and Tail
-        const positions = new Float32Array(this.meteorCount * 2 * 3); // 2 vertices per line, 3 coords
-        const colors = new Float32Array(this.meteorCount * 2 * 3);
-
-        // Initialize meteors off screen
-        this.meteorData = []; // Store velocity/state
-
-        for (let i = 0; i < this.meteorCount; i++) {
-            this.meteorData.push(this.resetMeteor({}, true));
-        }
-
-        this.meteorGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        this.meteorGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-
-        const material = new THREE.LineBasicMaterial({
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            transparent: true,
-            opacity: 0.8, // Increased opacity for better visibility
-            linewidth: 2 // Try to request thicker lines (driver dependent)
-        });
-
-        this.meteors = new THREE.LineSegments(this.meteorGeometry, material);
-        this.scene.add(this.meteors);
-    }
-
-    resetMeteor(data, randomStart) {
-        // Spawn on right side, fly left
-        const x = randomStart ? (Math.random() * 40 - 20) : (20 + Math.random() * 10);
-        const y = (Math.random() * 20 - 10); // Vertical spread
-        const z = (Math.random() * 10 - 20); // Behind tree mostly
-
-        data.pos = new THREE.Vector3(x, y, z);
-        data.velocity = new THREE.Vector3(-0.3 - Math.random() * 0.3, -0.05 - Math.random() * 0.1, 0); // Fly left-down
-        data.length = 3.0 + Math.random() * 6.0; // Doubled length (was 1.5-3.5)
-
-        // Magical comet colors - white and light blue
-        const r = Math.random();
-        if (r > 0.5) data.color = new THREE.Color(0xffffff); // Pure white
-        else data.color = new THREE.Color(0xadd8e6); // Light blue
-
-        return data;
-    }
-
-    getBanyanPosition(i) {
-        // Same logic but tighter params if needed? 
-        // Logic seems fine, it was likely just the rendering
+    // Writes a shape's targets and per-particle look into the buffers.
+    // Positions are left alone so update() morphs the particles over, and the look fades along.
+    applyShape(shape) {
+        const color = new THREE.Color();
 
-        const r = Math.random();
+        if (shape.prepare) shape.prepare(this.treeCount, this.random);
+        this.beginStyleFade();
 
-        if (i < this.treeCount * 0.25) { // More trunk points
-            const height = 4.0;
-            const y = (Math.random() * height) - (height / 2) - 1.0;
-            const progress = (y + (height / 2) + 1.0) / height;
+        for (let i = 0; i < this.treeCount; i++) {
+            const point = shape.sample(this.sampleOrder[i], this.treeCount, this.random);
 
-            // Much tighter trunk for sharpness
-            const radius = 0.3 + (1.0 - progress) * 1.5 + (Math.random() * 0.05);
-            const angle = Math.random() * Math.PI * 2;
+            this.treeTargetPositions[i * 3] = point.x;
+            this.treeTargetPositions[i * 3 + 1] = point.y;
+            this.treeTargetPositions[i * 3 + 2] = point.z;
 
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
+            // Shapes can override any part of the theme's look
+            this.treeTypes[i] = this.typeIndex(point.type);
+            this.treeFixedColors[i] = point.color !== undefined ? color.set(point.color).getHex() : -1;
+            this.treeFixedSizes[i] = point.size !== undefined ? point.size : NaN;
+            this.treeFixedOpacities[i] = point.opacity !== undefined ? point.opacity : NaN;
+            this.treeShimmer[i] = point.type === 'trunk' || point.type === 'root' ? 0 : 0.01 + this.random();
 
-            return { x, y, z, type: 'trunk' };
+            this.restyleParticle(i, color);
         }
-        else if (i < this.treeCount * 0.35) {
-            const dropHeight = 3.0;
-            const y = (Math.random() * dropHeight) - 2.0;
 
-            const radius = 1.2 + Math.random() * 2.5;
-            const angle = Math.random() * Math.PI * 2;
-
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
+        this.markStyleUpdate();
+    }
 
-            return { x, y, z, type: 'root' };
+    // Crossfades every particle to the new theme's colors, sizes and opacities
+    setTheme(theme) {
+        const color = new THREE.Color();
+        this.theme = theme;
+        if (this.auroraParticles) this.setAuroraColors();
+        this.beginStyleFade();
+        for (let i = 0; i < this.treeCount; i++) {
+            this.restyleParticle(i, color);
         }
-        else {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+        this.markStyleUpdate();
+    }
 
-            const r_sphere = 3.5 + Math.random() * 0.5; // Tighter shell
+    typeIndex(type) {
+        let index = this.typeNames.indexOf(type);
+        if (index === -1) index = this.typeNames.push(type) - 1;
+        return index;
+    }
 
-            let x = r_sphere * Math.sin(phi) * Math.cos(theta);
-            let y = r_sphere * Math.sin(phi) * Math.sin(theta);
-            let z = r_sphere * Math.cos(phi);
+    restyleParticle(i, color) {
+        // Colors & Sizes based on type
+        let { size, opacity } = this.styleParticle(this.typeNames[this.treeTypes[i]], color);
+        if (this.treeFixedColors[i] !== -1) color.setHex(this.treeFixedColors[i]);
+        if (!Number.isNaN(this.treeFixedSizes[i])) size = this.treeFixedSizes[i];
+        if (!Number.isNaN(this.treeFixedOpacities[i])) opacity = this.treeFixedOpacities[i];
+
+        this.treeTargetColors[i * 3] = color.r;
+        this.treeTargetColors[i * 3 + 1] = color.g;
+        this.treeTargetColors[i * 3 + 2] = color.b;
+        this.treeTargetSizes[i] = size; // No huge multiplier
+        this.treeTargetOpacities[i] = opacity;
+    }
 
-            y = Math.abs(y) * 0.6 + 0.5;
+    // Leaves and any custom surface share the leaves palette
+    styleParticle(type, color) {
+        const palette = this.theme.particles[type] || this.theme.particles.leaves;
+        return samplePalette(palette, color, this.random);
+    }
 
-            x *= 1.5;
-            z *= 1.5;
+    // Same idea as beginMorph(): the look shown right now becomes the start of the next fade
+    beginStyleFade() {
+        const p = this.styleMix;
+        const fade = (from, to) => {
+            for (let i = 0; i < from.length; i++) {
+                from[i] += (to[i] - from[i]) * p;
+            }
+        };
+        fade(this.treeColors, this.treeTargetColors);
+        fade(this.treeSizes, this.treeTargetSizes);
+        fade(this.treeOpacities, this.treeTargetOpacities);
+        this.styleMix = 0;
+    }
 
-            return { x, y, z, type: 'leaves' };
-        }
+    markStyleUpdate() {
+        const attributes = this.treeGeometry.attributes;
+        if (!attributes.customColor) return;
+        ['customColor', 'size', 'opacity', 'targetColor', 'targetSize', 'targetOpacity', 'shimmer'].forEach(name => {
+            attributes[name].needsUpdate = true;
+        });
     }
 
     initAurora() {
-        // Aurora Veil - Ribbon like structures
-        const positions = new Float32Array(this.auroraCount * 3);
-        const colors = new Float32Array(this.auroraCount * 3);
+        // Aurora Veil - Ribbon like structures, animated entirely in auroraVertexShader
+        const ribbons = new Float32Array(this.auroraCount * 4);
         const sizes = new Float32Array(this.auroraCount);
         const opacities = new Float32Array(this.auroraCount);
 
-        const color = new THREE.Color();
-
         for (let i = 0; i < this.auroraCount; i++) {
             const t = i / this.auroraCount;
             const band = Math.floor(t * 3); // Fewer bands
-            const angle = (t * Math.PI * 2) + band;
-
-            // Push further back/out
-            const radius = 12.0 + (Math.random() * 5.0);
 
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-
-            // Smoother wave
-            const y = Math.sin(angle * 2.0) * 3.0 + (Math.random() - 0.5) * 2.0;
-
-            positions[i * 3] = x;
-            positions[i * 3 + 1] = y;
-            positions[i * 3 + 2] = z;
-
-            if (Math.random() > 0.5) {
-                color.setHex(0x00ffaa);
-            } else {
-                color.setHex(0xaa00ff);
-            }
+            ribbons[i * 4] = (t * Math.PI * 2) + band; // Angle around the tree
+            ribbons[i * 4 + 1] = 12.0 + (this.random() * 5.0); // Push further back/out
+            ribbons[i * 4 + 2] = (this.random() - 0.5) * 2.0 + band * 1.5; // Height, bands stacked
+            ribbons[i * 4 + 3] = band * 2.1 + this.random() * 0.5; // Phase, so bands fold apart
 
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
-
-            sizes[i] = (20.0 + Math.random() * 30.0) * 10.0; // Big soft blobs
-            opacities[i] = 0.1 + Math.random() * 0.1; // Very transparent
+            sizes[i] = 20.0 + this.random() * 30.0; // Big soft blobs
+            opacities[i] = 0.1 + this.random() * 0.1; // Very transparent
         }
 
-        this.auroraGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        this.auroraGeometry.setAttribute('customColor', new THREE.BufferAttribute(colors, 3));
+        // Positions are computed in the shader; the attribute only sets the vertex count
+        this.auroraGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.auroraCount * 3), 3));
+        this.auroraGeometry.setAttribute('ribbon', new THREE.BufferAttribute(ribbons, 4));
         this.auroraGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         this.auroraGeometry.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1));
 
-        // Re-use shader heavily modified for aurora flow? 
-        // Or just use same shader but different params?
-        // Let's use the same shader for coherence but rely on the sine wave in vertex shader
-
         const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            vertexShader: vertexShader, // Reusing standard particle shader which has wave movement
-            fragmentShader: fragmentShader,
+            uniforms: this.auroraUniforms,
+            vertexShader: auroraVertexShader,
+            fragmentShader: auroraFragmentShader,
             blending: THREE.AdditiveBlending,
             depthWrite: false,
             transparent: true,
         });
 
+        this.setAuroraColors(true);
         this.auroraParticles = new THREE.Points(this.auroraGeometry, material);
+        this.auroraParticles.frustumCulled = false; // Bounds of the placeholder positions mean nothing
+        this.auroraParticles.visible = false;
         this.scene.add(this.auroraParticles);
     }
 
-    getDispersedPosition() {
-        const r = 10 * Math.cbrt(Math.random());
-        const theta = Math.random() * 2 * Math.PI;
-        const phi = Math.acos(2 * Math.random() - 1);
+    // Picks up the theme's aurora colors; they fade over in update() unless `immediate`
+    setAuroraColors(immediate = false) {
+        const [a, b] = this.theme.aurora;
+        this.auroraColors[0].set(a);
+        this.auroraColors[1].set(b);
+        if (immediate) {
+            this.auroraUniforms.uColorA.value.copy(this.auroraColors[0]);
+            this.auroraUniforms.uColorB.value.copy(this.auroraColors[1]);
+        }
+    }
+
+    setAuroraEnabled(enabled) {
+        this.config.aurora = enabled;
+    }
 
-        return {
-            x: r * Math.sin(phi) * Math.cos(theta),
-            y: r * Math.sin(phi) * Math.sin(theta),
-            z: r * Math.cos(phi)
-        };
+    toggleAurora() {
+        this.setAuroraEnabled(!this.config.aurora);
     }
 
-    form() {
-        if (this.state === 'formed') return;
+    // 0 hides the aurora, 1 is the default glow, up to 2 for a bright show
+    setAuroraIntensity(intensity) {
+        this.config.auroraIntensity = THREE.MathUtils.clamp(intensity, 0, 2);
+    }
+
+    updateAurora(steps = 1) {
+        const fade = lerpFactor(0.05, steps);
+        const target = this.config.aurora ? this.config.auroraIntensity : 0;
+        this.auroraIntensity += (target - this.auroraIntensity) * fade;
+        if (Math.abs(target - this.auroraIntensity) < 0.001) this.auroraIntensity = target;
+
+        const uniforms = this.auroraUniforms;
+        uniforms.uIntensity.value = this.auroraIntensity;
+        uniforms.uSpeed.value = this.config.auroraSpeed;
+        uniforms.uColorA.value.lerp(this.auroraColors[0], fade);
+        uniforms.uColorB.value.lerp(this.auroraColors[1], fade);
+        this.auroraParticles.visible = this.auroraIntensity > 0;
+    }
+
+    // Morphs into a shape from the library. `options` override config.transitions.form
+    // ({ duration, easing, path, stagger, staggerAmount, onComplete }); the promise
+    // resolves true when the particles land, false if another morph interrupts.
+    // `reshape: true` morphs even if the shape is already formed, e.g. after it was re-registered.
+    form(shapeName = this.shapeName, options = {}) {
+        if (this.state === 'formed' && shapeName === this.shapeName && !options.reshape) return this.transition.promise;
+
+        const shape = this.shapes.get(shapeName);
+        if (!shape) {
+            console.warn(`Unknown shape "${shapeName}", available: ${this.shapes.list().join(', ')}`);
+            return Promise.resolve(false);
+        }
+
         this.state = 'formed';
+        this.shapeName = shapeName;
+        this.beginMorph({ ...this.config.transitions.form, ...options });
+        this.applyShape(shape);
+        return this.startMorph();
+    }
+
+    // Scatters the particles into one of the DISPERSE_TARGETS layouts (options.target),
+    // with the same options and promise as form()
+    disperse(options = {}) {
+        const settings = { ...this.config.transitions.disperse, ...options };
+        if (this.state === 'dispersed' && settings.target === this.disperseTarget) return this.transition.promise;
+
+        const layout = DISPERSE_TARGETS[settings.target];
+        if (!layout) {
+            console.warn(`Unknown disperse target "${settings.target}", available: ${Object.keys(DISPERSE_TARGETS).join(', ')}`);
+            return Promise.resolve(false);
+        }
+
+        this.state = 'dispersed';
+        this.disperseTarget = settings.target;
+        this.beginMorph(settings);
+        if (layout.prepare) layout.prepare(this.treeCount, this.random);
         for (let i = 0; i < this.treeCount; i++) {
-            const { x, y, z } = this.getBanyanPosition(i);
+            const { x, y, z } = layout.sample(this.sampleOrder[i], this.treeCount, this.random);
             this.treeTargetPositions[i * 3] = x;
             this.treeTargetPositions[i * 3 + 1] = y;
             this.treeTargetPositions[i * 3 + 2] = z;
         }
+        return this.startMorph();
     }
 
-    disperse() {
-        if (this.state === 'dispersed') return;
-        this.state = 'dispersed';
+    // Freezes wherever the particles are right now as the start of the next morph
+    beginMorph(options) {
+        const source = this.treeSourcePositions;
         for (let i = 0; i < this.treeCount; i++) {
-            const { x, y, z } = this.getDispersedPosition();
-            this.treeTargetPositions[i * 3] = x;
-            this.treeTargetPositions[i * 3 + 1] = y;
-            this.treeTargetPositions[i * 3 + 2] = z;
+            transitionAnchor(source, i * 3, source, this.treeTargetPositions, i, this.treeDelays[i], this.transition);
         }
+        this.transition.cancel();
+        this.transition = new Transition(options);
+        this.transitionOptions = options;
     }
 
-    rotate(normalizedX) {
-        const speed = (normalizedX - 0.5) * 0.1;
-        this.rotationSpeed = speed;
+    // Call once the new targets are written
+    startMorph() {
+        this.transition.computeDelays(this.treeDelays, this.treeSourcePositions, this.treeTargetPositions, this.treeCount, this.random);
+        this.uploadMorph();
+        this.transition.start();
+        return this.transition.promise;
     }
 
-    update() {
-        this.uniforms.uTime.value += 0.01;
+    uploadMorph() {
+        if (!this.simulation) return;
+        this.simulation.setSource(this.treeSourcePositions, this.treeDelays);
+        this.simulation.setTarget(this.treeTargetPositions);
+    }
 
-        // Update Tree positions
-        const positions = this.treeGeometry.attributes.position.array;
-        for (let i = 0; i < this.treeCount * 3; i++) {
-            positions[i] += (this.treeTargetPositions[i] - positions[i]) * 0.06;
+    // Resting position of particle i (ignoring force displacement), in the tree's local space.
+    // Works on both simulation paths since it only needs the morph state.
+    getParticlePosition(i, target = new THREE.Vector3()) {
+        const anchor = this.anchor;
+        transitionAnchor(anchor, 0, this.treeSourcePositions, this.treeTargetPositions, i, this.treeDelays[i], this.transition);
+        return target.set(anchor[0], anchor[1], anchor[2]);
+    }
+
+    // `position` is in world space; modes are 'repel', 'attract' and 'swirl'
+    setForce(id, { position, radius = 1.5, strength = 0.04, mode = 'repel' }) {
+        let force = this.forces.get(id);
+        if (!force) {
+            force = { position: new THREE.Vector3(), local: new THREE.Vector3() };
+            this.forces.set(id, force);
         }
-        this.treeGeometry.attributes.position.needsUpdate = true;
+        force.position.copy(position);
+        force.radius = radius;
+        force.strength = strength;
+        force.mode = mode;
+    }
+
+    removeForce(id) {
+        this.forces.delete(id);
+    }
 
-        // Rotate
-        if (this.particles) {
-            this.particles.rotation.y += this.rotationSpeed;
-            this.rotationSpeed *= 0.96;
+    // Converts the world-space force fields into the Points' local space
+    localForces() {
+        if (this.forces.size === 0) return [];
+
+        this.particles.updateMatrixWorld();
+        this.swirlAxis.set(0, 0, 1).applyQuaternion(this.particles.quaternion.clone().invert());
+
+        const forces = [];
+        for (const force of this.forces.values()) {
+            this.particles.worldToLocal(force.local.copy(force.position));
+            forces.push(force);
         }
+        return forces;
+    }
 
-        // Update Meteors
-        if (this.meteors) {
-            const positions = this.meteorGeometry.attributes.position.array;
-            const colors = this.meteorGeometry.attributes.color.array;
-
-            for (let i = 0; i < this.meteorCount; i++) {
-                const data = this.meteorData[i];
-                // Move
-                data.pos.add(data.velocity);
-
-                // Head
-                positions[i * 6] = data.pos.x;
-                positions[i * 6 + 1] = data.pos.y;
-                positions[i * 6 + 2] = data.pos.z;
-
-                // Tail
-                positions[i * 6 + 3] = data.pos.x - data.velocity.x * data.length; // Trail behind
-                positions[i * 6 + 4] = data.pos.y - data.velocity.y * data.length;
-                positions[i * 6 + 5] = data.pos.z - data.velocity.z * data.length;
-
-                // Colors
-                colors[i * 6] = data.color.r;
-                colors[i * 6 + 1] = data.color.g;
-                colors[i * 6 + 2] = data.color.b;
-
-                colors[i * 6 + 3] = 0; // Black tail fade? Or same color?
-                colors[i * 6 + 4] = 0;
-                colors[i * 6 + 5] = 0;
-
-                // Reset if out of bounds
-                if (data.pos.x < -30) {
-                    this.resetMeteor(data, false);
+    applyForces(forces) {
+        const positions = this.treePositions;
+        const velocities = this.treeVelocities;
+        const axis = this.swirlAxis;
+
+        for (const { local, radius, strength, mode } of forces) {
+            const radiusSq = radius * radius;
+
+            for (let i = 0; i < this.treeCount; i++) {
+                const dx = positions[i * 3] - local.x;
+                const dy = positions[i * 3 + 1] - local.y;
+                const dz = positions[i * 3 + 2] - local.z;
+                const distSq = dx * dx + dy * dy + dz * dz;
+                if (distSq > radiusSq || distSq < 1e-6) continue;
+
+                const dist = Math.sqrt(distSq);
+                const push = strength * (1.0 - dist / radius) / dist;
+
+                if (mode === 'swirl') {
+                    // Tangential push around the view axis
+                    velocities[i * 3] += (axis.y * dz - axis.z * dy) * push;
+                    velocities[i * 3 + 1] += (axis.z * dx - axis.x * dz) * push;
+                    velocities[i * 3 + 2] += (axis.x * dy - axis.y * dx) * push;
+                } else {
+                    const sign = mode === 'attract' ? -1 : 1;
+                    velocities[i * 3] += dx * push * sign;
+                    velocities[i * 3 + 1] += dy * push * sign;
+                    velocities[i * 3 + 2] += dz * push * sign;
                 }
             }
-            this.meteorGeometry.attributes.position.needsUpdate = true;
-            this.meteorGeometry.attributes.color.needsUpdate = true;
         }
     }
+
+    // CPU fallback of GpuParticleSimulation, one 60 Hz step: the force offset on top of the
+    // morph anchor is pushed by the forces and springs back
+    stepPhysics(forces) {
+        if (forces.length > 0) this.applyForces(forces);
+
+        const offsets = this.treeOffsets;
+        const velocities = this.treeVelocities;
+        const { forceDamping, springBack } = this.config;
+        for (let i = 0; i < this.treeCount * 3; i++) {
+            velocities[i] *= forceDamping;
+            offsets[i] = (offsets[i] + velocities[i]) * springBack;
+        }
+    }
+
+    // Only the drawn particles; setDrawFraction() catches the others up when they return
+    updatePositions() {
+        const positions = this.treePositions;
+        const source = this.treeSourcePositions;
+        const target = this.treeTargetPositions;
+        const offsets = this.treeOffsets;
+        const count = this.drawCount;
+
+        for (let i = 0; i < count; i++) {
+            transitionAnchor(positions, i * 3, source, target, i, this.treeDelays[i], this.transition);
+        }
+        for (let i = 0; i < count * 3; i++) {
+            positions[i] += offsets[i];
+        }
+        this.treeGeometry.attributes.position.needsUpdate = true;
+    }
+
+    // Draws only this share (0-1) of the particles, for slow devices. The hidden ones keep
+    // their place in every shape and come back where they belong.
+    setDrawFraction(fraction) {
+        this.drawFraction = THREE.MathUtils.clamp(fraction, 0, 1);
+        this.treeGeometry.setDrawRange(0, this.drawCount);
+        if (!this.simulation) this.updatePositions();
+    }
+
+    get drawCount() {
+        return Math.round(this.treeCount * this.drawFraction);
+    }
+
+    // Audio reaction: `pulse` scales every particle up by that share, `shimmer` is how
+    // strongly leaves flicker (0 for both when no audio plays)
+    setAudioLevels(pulse, shimmer) {
+        this.uniforms.uPulse.value = pulse;
+        this.uniforms.uShimmer.value = Math.min(shimmer, 1);
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(steps = 1) {
+        this.uniforms.uTime.value += 0.01 * steps;
+
+        this.uniforms.uWind.value = this.config.wind;
+
+        this.transition.update();
+        this.transition.applyUniforms(this.uniforms);
+
+        // Colors fade with a fixed share of the remaining way each frame
+        this.styleMix += (1 - this.styleMix) * lerpFactor(this.config.morphSpeed, steps);
+        if (this.styleMix > 0.9999) this.styleMix = 1;
+        this.uniforms.uStyleMix.value = this.styleMix;
+
+        // Force physics runs in whole 60 Hz steps so springs behave the same at any frame rate
+        const forces = this.localForces();
+        this.physicsSteps = Math.min(this.physicsSteps + steps, MAX_PHYSICS_STEPS);
+        while (this.physicsSteps >= 1) {
+            this.physicsSteps--;
+            if (this.simulation) {
+                this.simulation.update(forces, this.swirlAxis, this.config);
+            } else {
+                this.stepPhysics(forces);
+            }
+        }
+        if (this.simulation) {
+            this.uniforms.uOffset.value = this.simulation.offsetTexture;
+        } else {
+            this.updatePositions();
+        }
+
+        if (this.auroraParticles) this.updateAurora(steps);
+    }
+
+    dispose() {
+        this.transition.cancel();
+        [this.particles, this.auroraParticles].forEach(points => {
+            if (!points) return;
+            this.scene.remove(points);
+            points.geometry.dispose();
+            points.material.dispose();
+        });
+        if (this.simulation) this.simulation.dispose();
+        this.simulation = null;
+    }
+}
+
+// 0..count-1 in a (seeded) random order
+function shuffledIndices(count, random) {
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
 }
@@ -0,0 +1,210 @@
+import { InputController } from './InputController.js';
+
+// Mouse and touch input speaking the same events as GestureController:
+// drag to rotate, hold to form (fist), click to disperse (open),
+// wheel or two-finger pinch to zoom (twohands), hover/touch position as the force pointer.
+
+const HOLD_DELAY = 350; // ms before a press counts as a hold
+const DRAG_THRESHOLD = 6; // px of movement that turns a press into a drag
+const WHEEL_IDLE = 200; // ms without wheel events that ends a wheel zoom
+
+export class PointerController extends InputController {
+    constructor(element) {
+        super();
+        this.element = element;
+        this.pointers = new Map(); // Active pointers by pointerId
+        this.press = null; // { x, y, dragged, holding, timer } for the primary pointer
+        this.pinch = null; // Baseline distance/angle of a two-finger touch
+        this.wheel = null; // { zoom, timer } while the wheel is spinning
+        this.hovering = false;
+
+        this.handlers = {
+            pointerdown: (e) => this.onPointerDown(e),
+            pointermove: (e) => this.onPointerMove(e),
+            pointerup: (e) => this.onPointerUp(e),
+            pointercancel: (e) => this.onPointerUp(e),
+            pointerleave: (e) => this.onPointerLeave(e),
+            wheel: (e) => this.onWheel(e)
+        };
+    }
+
+    initialize() {
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.element.addEventListener(type, handler, { passive: type !== 'wheel' });
+        });
+        // Keep the browser from scrolling/zooming the page on touch
+        this.element.style.touchAction = 'none';
+    }
+
+    dispose() {
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.element.removeEventListener(type, handler);
+        });
+        if (this.press) clearTimeout(this.press.timer);
+        if (this.wheel) clearTimeout(this.wheel.timer);
+        this.press = null;
+        this.wheel = null;
+        super.dispose();
+    }
+
+    // Position relative to the element, 0-1 from the top-left corner
+    normalize(e) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height
+        };
+    }
+
+    onPointerDown(e) {
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            this.cancelPress();
+            this.startPinch();
+            return;
+        }
+        if (this.pointers.size > 2) return;
+
+        this.press = {
+            x: e.clientX,
+            y: e.clientY,
+            lastX: e.clientX,
+            dragged: false,
+            holding: false,
+            timer: setTimeout(() => {
+                this.press.holding = true;
+                this.emitGesture('fist');
+            }, HOLD_DELAY)
+        };
+        this.updatePointer(e);
+    }
+
+    onPointerMove(e) {
+        if (this.pointers.has(e.pointerId)) {
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+
+        if (this.pinch) {
+            this.updatePinch();
+            return;
+        }
+
+        const press = this.press;
+        if (press) {
+            if (!press.dragged && Math.hypot(e.clientX - press.x, e.clientY - press.y) > DRAG_THRESHOLD) {
+                press.dragged = true;
+                if (!press.holding) clearTimeout(press.timer);
+            }
+            if (press.dragged) {
+                // Same scale as a wrist x position: 0.5 is still, and the camera image is mirrored,
+                // so dragging right maps to a smaller x just like moving the hand right does
+                const dx = (e.clientX - press.lastX) / this.element.clientWidth;
+                this.emit('move', Math.min(Math.max(0.5 - dx * 10, 0), 1), { handedness: 'Right' });
+            }
+            press.lastX = e.clientX;
+        }
+
+        // Mice hover, touches only exist while pressed
+        if (e.pointerType === 'mouse' || press) this.updatePointer(e);
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+
+        if (this.pinch) {
+            if (this.pointers.size < 2) this.endPinch();
+            return;
+        }
+
+        const press = this.press;
+        if (press) {
+            clearTimeout(press.timer);
+            if (press.holding) {
+                this.emit('gestureend', { gesture: 'fist', confidence: 1, handedness: 'Right' });
+            } else if (!press.dragged) {
+                this.emitGesture('open');
+                this.emit('gestureend', { gesture: 'open', confidence: 1, handedness: 'Right' });
+            }
+            this.press = null;
+        }
+
+        if (e.pointerType !== 'mouse') this.lose();
+    }
+
+    onPointerLeave(e) {
+        if (e.pointerType === 'mouse' && !this.press) this.lose();
+    }
+
+    cancelPress() {
+        if (!this.press) return;
+        clearTimeout(this.press.timer);
+        if (this.press.holding) {
+            this.emit('gestureend', { gesture: 'fist', confidence: 1, handedness: 'Right' });
+        }
+        this.press = null;
+    }
+
+    updatePointer(e) {
+        if (!this.hovering) {
+            this.hovering = true;
+            this.emit('handfound', { handedness: 'Right', score: 1 });
+        }
+        const { x, y } = this.normalize(e);
+        // `pressed` lets a drag draw in drawing mode, where a hand would point
+        const pressed = !!this.press;
+        this.emit('pointer', { x, y, handedness: 'Right', gesture: pressed && this.press.holding ? 'fist' : null, pressed });
+    }
+
+    lose() {
+        if (!this.hovering) return;
+        this.hovering = false;
+        this.emit('handlost', { handedness: 'Right' });
+    }
+
+    pinchMetrics() {
+        const [a, b] = [...this.pointers.values()];
+        const dx = b.x - a.x;
+        const dy = a.y - b.y; // Screen y grows downward
+        return { distance: Math.sqrt(dx * dx + dy * dy), angle: Math.atan2(dy, dx) };
+    }
+
+    startPinch() {
+        this.pinch = this.pinchMetrics();
+        this.emit('twohandsstart', { ...this.pinch });
+    }
+
+    updatePinch() {
+        const { distance, angle } = this.pinchMetrics();
+        this.emit('twohands', {
+            distance,
+            angle,
+            zoom: distance / Math.max(this.pinch.distance, 1),
+            tilt: angle - this.pinch.angle
+        });
+    }
+
+    endPinch() {
+        this.pinch = null;
+        this.emit('twohandsend');
+    }
+
+    // Wheel zoom reuses the two-hand zoom events so the scene bindings stay the same
+    onWheel(e) {
+        e.preventDefault();
+
+        if (!this.wheel) {
+            this.wheel = { zoom: 1, timer: null };
+            this.emit('twohandsstart', { distance: 1, angle: 0 });
+        }
+        this.wheel.zoom *= Math.exp(-e.deltaY * 0.001);
+        this.emit('twohands', { distance: this.wheel.zoom, angle: 0, zoom: this.wheel.zoom, tilt: 0 });
+
+        clearTimeout(this.wheel.timer);
+        this.wheel.timer = setTimeout(() => {
+            this.wheel = null;
+            this.emit('twohandsend');
+        }, WHEEL_IDLE);
+    }
+}
@@ -0,0 +1,97 @@
+// Watches the frame rate and trades detail for speed to hold config.quality.targetFps.
+// Each level scales the render resolution, the bloom buffers, the share of tree
+// particles drawn and the number of ambient meteors; SceneManager applies them.
+// It drops a level as soon as a second of frames comes in under target and climbs back
+// only after `upgradeDelay` seconds of headroom, waiting longer each time a climb fails.
+
+export const QUALITY_LEVELS = [
+    { name: 'low', pixelRatio: 0.5, bloom: 0.35, particles: 0.35, meteors: 0.25 },
+    { name: 'medium', pixelRatio: 0.7, bloom: 0.5, particles: 0.6, meteors: 0.5 },
+    { name: 'high', pixelRatio: 0.85, bloom: 0.75, particles: 0.8, meteors: 0.75 },
+    { name: 'ultra', pixelRatio: 1, bloom: 1, particles: 1, meteors: 1 }
+];
+
+const WINDOW = 1; // s of frames per fps measurement
+const WARMUP = 2; // s after start before judging; shader compiles stall the first frames
+const MAX_SAMPLE = 0.25; // s; longer frames are tab switches or hitches, not load
+const MAX_BACKOFF = 8;
+
+export class QualityGovernor {
+    // `config` is the quality section of config.js (read live)
+    constructor(config) {
+        this.config = config;
+        this.level = this.levelIndex(config.level);
+        this.elapsed = 0;
+        this.lastChange = 0;
+        this.lastUpgrade = -Infinity;
+        this.backoff = 1; // Multiplies upgradeDelay after a level turned out too slow
+        this.frames = 0;
+        this.time = 0;
+        this.fps = 0;
+        this.frameMs = 0;
+        this.listeners = { change: [] };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(data));
+        }
+    }
+
+    get current() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    levelIndex(name) {
+        const index = QUALITY_LEVELS.findIndex(level => level.name === name);
+        return index === -1 ? QUALITY_LEVELS.length - 1 : index;
+    }
+
+    setLevel(index) {
+        index = Math.min(Math.max(index, 0), QUALITY_LEVELS.length - 1);
+        if (index === this.level) return;
+        if (index > this.level) this.lastUpgrade = this.elapsed;
+        this.level = index;
+        this.config.level = this.current.name;
+        this.lastChange = this.elapsed;
+        this.frames = 0;
+        this.time = 0;
+        this.emit('change', this.current);
+    }
+
+    // Call once per rendered frame with the real (uncapped) frame time in seconds
+    sample(delta) {
+        // Picked in the debug panel or a preset
+        if (this.config.level !== this.current.name) this.setLevel(this.levelIndex(this.config.level));
+        if (delta > MAX_SAMPLE) return;
+
+        this.elapsed += delta;
+        this.frames++;
+        this.time += delta;
+        if (this.time < WINDOW) return;
+
+        this.fps = this.frames / this.time;
+        this.frameMs = this.time / this.frames * 1000;
+        this.frames = 0;
+        this.time = 0;
+        if (this.config.adaptive && this.elapsed > WARMUP) this.evaluate();
+    }
+
+    evaluate() {
+        const { targetFps, upgradeDelay } = this.config;
+        if (this.fps < targetFps * 0.95 && this.level > 0) {
+            // Just climbed here and it's too slow: stay down longer next time
+            if (this.elapsed - this.lastUpgrade < upgradeDelay) this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF);
+            this.setLevel(this.level - 1);
+        } else if (this.fps >= targetFps * 0.98 && this.level < QUALITY_LEVELS.length - 1 &&
+            this.elapsed - this.lastChange >= upgradeDelay * this.backoff) {
+            this.setLevel(this.level + 1);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+import { INPUT_EVENTS } from './InputController.js';
+
+// One device's link to the relay in server/relay.js. Reconnects on its own with a growing
+// delay, so the relay or the Wi-Fi can drop out during an installation without anyone
+// reloading the screens. Messages are JSON; see the relay for the protocol.
+
+const RECONNECT_START = 500; // ms before the first retry, doubling up to config.reconnectDelay
+
+export class RemoteConnection {
+    // `url` of the relay (ws://host:8787), `room` groups the devices of one installation,
+    // `role` is 'display' or 'controller'; `config` is the remote section of config.js
+    constructor(url, { room = 'default', role = 'display', config = { reconnectDelay: 10 } } = {}) {
+        this.url = new URL(url);
+        this.url.searchParams.set('room', room);
+        this.url.searchParams.set('role', role);
+        this.role = role;
+        this.config = config;
+        this.socket = null;
+        this.connected = false;
+        this.leader = false; // This display publishes the shared state
+        this.id = null;
+        this.retryDelay = RECONNECT_START;
+        this.retryTimer = null;
+        this.closed = false;
+        this.listeners = { open: [], close: [], welcome: [], leader: [], input: [], state: [], peers: [] };
+
+        this.connect();
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(data));
+        }
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.connected = true;
+            this.retryDelay = RECONNECT_START;
+            this.emit('open');
+        });
+        socket.addEventListener('message', ({ data }) => this.receive(data));
+        socket.addEventListener('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.leader = false;
+            if (wasConnected) this.emit('close');
+            if (!this.closed) this.scheduleReconnect();
+        });
+        // 'close' follows every error, which is where reconnecting happens
+        socket.addEventListener('error', () => {});
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, this.config.reconnectDelay * 1000);
+    }
+
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.leader = message.leader;
+                this.emit('welcome', message);
+                break;
+            case 'leader':
+                this.leader = true;
+                this.emit('leader');
+                break;
+            case 'input':
+                this.emit('input', message);
+                break;
+            case 'state':
+                this.emit('state', message.state);
+                break;
+            case 'peers':
+                this.emit('peers', { displays: message.displays, controllers: message.controllers });
+                break;
+        }
+    }
+
+    // Dropped while disconnected: inputs are only meaningful live and the leader resends its state
+    send(message) {
+        if (this.connected) this.socket.send(JSON.stringify(message));
+    }
+
+    sendInput(event, ...args) {
+        this.send({ type: 'input', event, args });
+    }
+
+    // Sends every event of an input controller on to the displays
+    forward(input) {
+        INPUT_EVENTS.forEach(event => input.on(event, (...args) => this.sendInput(event, ...args)));
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        if (this.socket) this.socket.close();
+    }
+}
@@ -0,0 +1,37 @@
+import { InputController, isValidInput } from './InputController.js';
+
+// Input events from other devices (a phone touchpad, a camera station), arriving through
+// the relay and re-emitted as if they came from a local source, so every binding and
+// gesture works the same on a display with no camera of its own.
+
+export class RemoteController extends InputController {
+    // `connection` is a RemoteConnection
+    constructor(connection) {
+        super();
+        this.connection = connection;
+        this.hands = new Set(); // Handedness of remote hands currently in view
+
+        connection.on('input', ({ event, args }) => this.receive(event, args));
+        // A sender can't end its own gestures while the relay is unreachable; release them here
+        connection.on('close', () => this.releaseAll());
+    }
+
+    // Events with arguments the bindings can't take are dropped (an older or buggy sender)
+    receive(event, args) {
+        if (!isValidInput(event, args)) return;
+        const handedness = args[0] && args[0].handedness;
+        if (event === 'handfound') this.hands.add(handedness);
+        if (event === 'handlost') this.hands.delete(handedness);
+        this.emit(event, ...args);
+    }
+
+    releaseAll() {
+        this.hands.forEach(handedness => this.emit('handlost', { handedness }));
+        this.hands.clear();
+    }
+
+    dispose() {
+        this.releaseAll();
+        super.dispose();
+    }
+}
@@ -1,26 +1,47 @@
 import * as THREE from 'three';
 import { ParticleTree } from './ParticleTree.js';
+import { MeteorSystem } from './MeteorSystem.js';
+import { SnowSystem } from './SnowSystem.js';
+import { DecorationLayer } from './DecorationLayer.js';
+import { AudioController } from './AudioController.js';
+import { SceneRecorder } from './SceneRecorder.js';
+import { CameraRig } from './CameraRig.js';
+import { HandCursor } from './HandCursor.js';
+import { AirDrawing } from './AirDrawing.js';
+import { FrameClock, lerpFactor } from './FrameClock.js';
+import { createRandom } from './random.js';
+import { QualityGovernor } from './QualityGovernor.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { createConfig, defaultConfig } from './config.js';
+import { getTheme, themes } from './themes.js';
 
 export class SceneManager {
-    constructor(canvas) {
+    // `config` is the full config.js object; the scene section is re-read by applyConfig().
+    // Starts at the canvas's CSS size; whoever owns the layout calls setSize() when it changes.
+    // `seed` (a number or string) makes everything random in this scene reproducible.
+    constructor(canvas, config = createConfig(), { seed } = {}) {
         this.canvas = canvas;
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+        this.config = config;
+        this.random = seed === null || seed === undefined ? createRandom() : createRandom(seed);
+        this.width = canvas.clientWidth || window.innerWidth;
+        this.height = canvas.clientHeight || window.innerHeight;
+        this.frame = null; // requestAnimationFrame id while running
 
         this.scene = new THREE.Scene();
         // Dark Night Sky for magical glow contrast
-        this.scene.background = new THREE.Color(0x0a1a2a); // Midnight Blue
-        this.scene.fog = new THREE.Fog(0x0a1a2a, 20, 50); // Darker fog matching background
+        this.scene.background = new THREE.Color();
+        this.scene.fog = new THREE.Fog(); // Darker fog matching background
 
         this.camera = new THREE.PerspectiveCamera(75, this.width / this.height, 0.1, 1000);
-        this.camera.position.z = 10; // Moved back for full view
+        this.cameraRig = new CameraRig(this.camera, { config: config.camera, sceneConfig: config.scene });
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointerPlane = new THREE.Plane(); // Through the tree's center, facing the camera
 
         this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, alpha: false, antialias: true }); // Enable antialias for sharp points
-        this.renderer.setSize(this.width, this.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(this.width, this.height, false);
         this.renderer.toneMapping = THREE.ReinhardToneMapping;
 
         // Post-processing setup
@@ -28,31 +49,276 @@ export class SceneManager {
         const renderPass = new RenderPass(this.scene, this.camera);
         this.composer.addPass(renderPass);
 
-        // Bloom Pass - Magical but controlled
-        const bloomPass = new UnrealBloomPass(new THREE.Vector2(this.width, this.height), 1.5, 0.4, 0.85);
-        bloomPass.threshold = 0.6; // Higher threshold so background doesn't glow
-        bloomPass.strength = 1.2; // Strong magical glow
-        bloomPass.radius = 0.5; // Medium soft radius
-        this.composer.addPass(bloomPass);
+        // Bloom Pass - Magical but controlled, tuned through config.scene
+        this.bloomPass = new UnrealBloomPass(new THREE.Vector2(this.width, this.height), 1.5, 0.4, 0.85);
+        this.composer.addPass(this.bloomPass);
+
+        // Atmosphere values nobody customized follow the starting theme
+        const theme = getTheme(config.scene.theme);
+        Object.entries(theme.scene).forEach(([key, value]) => {
+            if (config.scene[key] === defaultConfig.scene[key]) config.scene[key] = value;
+        });
+        this.atmosphereFade = null;
 
-        this.tree = new ParticleTree(this.scene);
+        const random = this.random;
+        this.tree = new ParticleTree(this.scene, { renderer: this.renderer, config: config.tree, theme, random });
+        this.meteors = new MeteorSystem(this.scene, { config: config.meteors, theme, random });
+        this.snow = new SnowSystem(this.scene, { config: config.snow, tree: this.tree, random });
+        this.decorations = new DecorationLayer(this.tree, { config: config.decorations, theme, random });
+        this.cursor = new HandCursor(this.scene, { config: config.hud });
+        this.drawing = new AirDrawing(this.scene, { config: config.drawing, tree: this.tree, theme });
 
-        window.addEventListener('resize', () => this.onWindowResize());
+        // Music or the microphone drives the particles, bloom and meteors once a source is picked
+        this.audio = new AudioController(config.audio);
+        this.audio.on('beat', () => {
+            if (config.audio.beatBurst > 0) this.meteors.burst({ count: config.audio.beatBurst });
+        });
+        this.recorder = new SceneRecorder(this.canvas, config.capture);
+
+        // Every update() gets the frame's length, and the governor trades detail for frame rate
+        this.clock = new FrameClock();
+        this.quality = new QualityGovernor(config.quality);
+        this.pointScale = 1; // Quality factor currently applied to the point sprites' uPixelRatio
+        this.quality.on('change', () => this.applyQuality());
+        this.applyConfig();
+        this.applyQuality();
     }
 
-    onWindowResize() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    // CSS pixels; the canvas's style size is left to the page
+    setSize(width = this.width, height = this.height) {
+        this.width = width;
+        this.height = height;
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.width, this.height);
+        this.renderer.setSize(this.width, this.height, false);
         this.composer.setSize(this.width, this.height);
+        this.applyBloomResolution();
+    }
+
+    // Pushes config.scene into the scene, camera and bloom pass.
+    // A changed theme only restyles the particles here; the atmosphere values are taken as given.
+    applyConfig() {
+        const scene = this.config.scene;
+
+        const theme = getTheme(scene.theme);
+        if (theme !== this.tree.theme) this.restyle(theme);
+
+        this.applyAtmosphere();
+
+        this.applyPixelRatio();
+
+        this.camera.fov = scene.fov;
+        this.camera.updateProjectionMatrix();
+    }
+
+    applyPixelRatio() {
+        const scale = this.quality.current.pixelRatio;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.config.scene.maxPixelRatio) * scale);
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.applyBloomResolution();
+
+        // Point sprites are sized in canvas pixels: shrink them with the canvas so they
+        // look the same on screen
+        this.pixelRatioUniforms().forEach(uniform => { uniform.value *= scale / this.pointScale; });
+        this.pointScale = scale;
+    }
+
+    // The bloom blurs at a share of the canvas resolution; it's soft anyway, so low
+    // quality levels barely show it
+    applyBloomResolution() {
+        const scale = this.renderer.getPixelRatio() * this.quality.current.bloom;
+        this.bloomPass.setSize(Math.max(1, Math.round(this.width * scale)), Math.max(1, Math.round(this.height * scale)));
+    }
+
+    // Pushes the governor's current level into the renderer, tree and meteors
+    applyQuality() {
+        const level = this.quality.current;
+        this.applyPixelRatio();
+        this.tree.setDrawFraction(level.particles);
+        this.meteors.setDensity(level.meteors);
+    }
+
+    // Every shader uniform that scales point sizes with the pixel ratio
+    pixelRatioUniforms() {
+        const uniforms = new Set();
+        this.scene.traverse(object => {
+            const material = object.material && object.material.uniforms;
+            if (material && material.uPixelRatio) uniforms.add(material.uPixelRatio);
+        });
+        return uniforms;
+    }
+
+    applyAtmosphere() {
+        const scene = this.config.scene;
+
+        this.scene.background.set(scene.background);
+        this.scene.fog.color.set(scene.fogColor);
+        this.scene.fog.near = scene.fogNear;
+        this.scene.fog.far = scene.fogFar;
+
+        this.bloomPass.strength = scene.bloomStrength;
+        this.bloomPass.threshold = scene.bloomThreshold;
+        this.bloomPass.radius = scene.bloomRadius;
+    }
+
+    // Switches to a named theme from themes.js: particles and atmosphere crossfade together
+    setTheme(name) {
+        const theme = getTheme(name);
+        const scene = this.config.scene;
+        scene.theme = themes[name] ? name : 'blossom';
+        this.restyle(theme);
+
+        const from = {};
+        Object.keys(theme.scene).forEach(key => { from[key] = scene[key]; });
+        this.atmosphereFade = { from, to: theme.scene, progress: 0 };
+    }
+
+    // Hands a theme to every layer that has colors of its own
+    restyle(theme) {
+        this.tree.setTheme(theme);
+        this.meteors.setTheme(theme);
+        this.decorations.setTheme(theme);
+        this.drawing.setTheme(theme);
+    }
+
+    updateAtmosphereFade(steps = 1) {
+        const fade = this.atmosphereFade;
+        if (!fade) return;
+
+        // Same easing as the particle colors so both land together
+        fade.progress += (1 - fade.progress) * lerpFactor(this.config.tree.morphSpeed, steps);
+        if (fade.progress > 0.999) fade.progress = 1;
+
+        const scene = this.config.scene;
+        const color = new THREE.Color();
+        Object.entries(fade.to).forEach(([key, value]) => {
+            const start = fade.from[key];
+            if (typeof value === 'number') {
+                scene[key] = start + (value - start) * fade.progress;
+            } else {
+                scene[key] = '#' + color.set(start).lerp(new THREE.Color(value), fade.progress).getHexString();
+            }
+        });
+        this.applyAtmosphere();
+
+        if (fade.progress === 1) this.atmosphereFade = null;
+    }
+
+    // Without an audio source the levels stay at 0 and this leaves everything as configured
+    updateAudio() {
+        const { bass, treble } = this.audio.update();
+        const config = this.config.audio;
+
+        this.tree.setAudioLevels(bass * config.sizePulse, treble * config.shimmer);
+        this.bloomPass.strength = this.config.scene.bloomStrength + bass * config.bloomBoost;
+    }
+
+    // Maps a screen position (0-1, origin top-left) onto the plane through the tree
+    screenToScene(x, y, target = new THREE.Vector3()) {
+        const facing = this.camera.getWorldDirection(new THREE.Vector3()).negate();
+        this.pointerPlane.setFromNormalAndCoplanarPoint(facing, this.cameraRig.target);
+        return this.screenToRay(x, y).intersectPlane(this.pointerPlane, target) || target.set(0, 0, 0);
+    }
+
+    // World-space ray from the camera through a screen position (0-1, origin top-left)
+    screenToRay(x, y) {
+        const ndc = new THREE.Vector2(x * 2 - 1, -(y * 2 - 1));
+        this.raycaster.setFromCamera(ndc, this.camera);
+        return this.raycaster.ray;
+    }
+
+    // Renders one frame at width x height (default config.capture) regardless of the
+    // window, resolving with a PNG blob. Point sprites are scaled up with the resolution
+    // so the picture looks like the screen, only sharper, and every particle is drawn
+    // whatever the quality level.
+    captureImage({ width = this.config.capture.width, height = this.config.capture.height, type = 'image/png' } = {}) {
+        const limit = this.renderer.capabilities.maxTextureSize;
+        const fit = Math.min(1, limit / Math.max(width, height));
+        width = Math.floor(width * fit);
+        height = Math.floor(height * fit);
+
+        const pixelRatio = this.renderer.getPixelRatio();
+        const pointScale = height / (this.height * pixelRatio);
+        const pointUniforms = this.pixelRatioUniforms();
+        pointUniforms.forEach(uniform => { uniform.value *= pointScale; });
+        this.tree.setDrawFraction(1);
+
+        this.renderer.setPixelRatio(1);
+        this.composer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.composer.setSize(width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.composer.render();
+
+        // toBlob copies the pixels right away, so the window size can come straight back
+        const blob = new Promise(resolve => this.canvas.toBlob(resolve, type));
+
+        pointUniforms.forEach(uniform => { uniform.value /= pointScale; });
+        this.tree.setDrawFraction(this.quality.current.particles);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.composer.setPixelRatio(pixelRatio);
+        this.setSize();
+        this.composer.render();
+        return blob;
+    }
+
+    // WebM of the canvas; `webcam` (a <video>) is composited picture-in-picture
+    // when config.capture.webcam is on
+    startRecording({ webcam = null } = {}) {
+        this.recorder.start({ webcam: this.config.capture.webcam ? webcam : null });
+    }
+
+    // Resolves with the WebM blob
+    stopRecording() {
+        return this.recorder.stop();
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        this.tree.update();
+    start() {
+        if (this.frame !== null) return;
+        this.clock.reset(); // No catching up on the time spent stopped
+        this.frame = requestAnimationFrame(time => this.animate(time));
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    // Frees everything on the GPU and the audio graph, and gives up the WebGL context
+    // (browsers only allow a handful at once). The canvas is left to its owner.
+    dispose() {
+        this.stop();
+        if (this.recorder.recording) this.recorder.stop();
+        this.audio.dispose();
+        this.cursor.dispose();
+        this.drawing.dispose();
+        this.decorations.dispose();
+        this.snow.dispose();
+        this.meteors.dispose();
+        this.tree.dispose();
+        this.bloomPass.dispose();
+        this.composer.dispose();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+    }
+
+    animate(now = performance.now()) {
+        this.frame = requestAnimationFrame(time => this.animate(time));
+        const { steps, rawDelta } = this.clock.tick(now);
+        this.quality.sample(rawDelta);
+
+        this.updateAtmosphereFade(steps);
+        this.updateAudio();
+        this.cameraRig.update(performance.now(), steps);
+        this.tree.update(steps);
+        this.meteors.update(steps);
+        this.snow.update(steps);
+        this.decorations.update(steps);
+        this.cursor.update(steps);
+        this.drawing.update(steps);
         // this.renderer.render(this.scene, this.camera); // Replaced by composer
         this.composer.render();
+        this.recorder.drawFrame();
     }
 }
@@ -0,0 +1,93 @@
+import { createConfig } from './config.js';
+
+// Records the WebGL canvas to WebM with MediaRecorder. With a webcam video the frames
+// are composited onto a 2D canvas first, the camera in a corner picture-in-picture;
+// SceneManager calls drawFrame() right after rendering so the WebGL buffer is still there.
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const PIP_MARGIN = 16;
+
+export class SceneRecorder {
+    // `config` is the capture section of config.js
+    constructor(canvas, config = createConfig().capture) {
+        this.canvas = canvas;
+        this.config = config;
+        this.recorder = null;
+        this.chunks = [];
+        this.webcam = null;
+        this.composite = null; // 2D canvas the PiP frames are drawn onto
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    get recording() {
+        return this.recorder !== null;
+    }
+
+    // `webcam` is an optional <video> to show picture-in-picture
+    start({ webcam = null } = {}) {
+        if (this.recording) return;
+        if (!SceneRecorder.isSupported()) throw new Error('Video recording is not supported in this browser');
+
+        this.webcam = webcam && webcam.readyState >= 2 ? webcam : null;
+        let source = this.canvas;
+        if (this.webcam) {
+            this.composite = document.createElement('canvas');
+            this.composite.width = this.canvas.width;
+            this.composite.height = this.canvas.height;
+            source = this.composite;
+        }
+
+        const stream = source.captureStream(this.config.fps);
+        this.chunks = [];
+        this.recorder = new MediaRecorder(stream, {
+            mimeType: MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)),
+            videoBitsPerSecond: this.config.videoBitrate
+        });
+        this.recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        });
+        this.recorder.start(1000);
+    }
+
+    // Resolves with the finished WebM once the recorder has flushed
+    stop() {
+        if (!this.recording) return Promise.resolve(null);
+
+        const recorder = this.recorder;
+        this.recorder = null;
+        return new Promise(resolve => {
+            recorder.addEventListener('stop', () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.composite = null;
+                resolve(new Blob(this.chunks, { type: recorder.mimeType }));
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+
+    drawFrame() {
+        if (!this.composite) return;
+
+        const context = this.composite.getContext('2d');
+        const { width, height } = this.composite;
+        context.drawImage(this.canvas, 0, 0, width, height);
+
+        // Bottom-right, mirrored like the on-screen preview
+        const video = this.webcam;
+        const pipWidth = width * this.config.pipSize;
+        const pipHeight = pipWidth * video.videoHeight / video.videoWidth;
+        const x = width - pipWidth - PIP_MARGIN;
+        const y = height - pipHeight - PIP_MARGIN;
+        context.save();
+        context.translate(x + pipWidth, y);
+        context.scale(-1, 1);
+        context.drawImage(video, 0, 0, pipWidth, pipHeight);
+        context.restore();
+        context.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        context.lineWidth = 2;
+        context.strokeRect(x, y, pipWidth, pipHeight);
+    }
+}
@@ -0,0 +1,99 @@
+// Keeps several displays showing the same tree. The leading display (chosen by the relay)
+// sends its shape, running transition, theme and camera a few times a second; the others
+// follow: a new shape or theme starts the same transition, lined up with the leader's
+// clock, and the camera is nudged towards the leader's instead of jumping, so frame
+// drops and network jitter don't show. Inputs reach every display anyway (the relay
+// sends them to all), so the state only has to correct drift.
+
+const SNAP_ANGLE = 1; // Radians of yaw drift beyond which a follower jumps instead of easing
+
+export class SceneSync {
+    // `connection` is a RemoteConnection with the display role; `config` is the remote section of config.js
+    constructor(sceneManager, connection, { config = sceneManager.config.remote } = {}) {
+        this.sceneManager = sceneManager;
+        this.connection = connection;
+        this.config = config;
+        this.timer = null;
+
+        // A display joining late (or coming back) jumps straight to where the others are
+        connection.on('welcome', ({ leader, state }) => {
+            if (!leader && state) this.apply(state, { snap: true });
+        });
+        connection.on('state', state => {
+            if (!connection.leader) this.apply(state);
+        });
+        connection.on('leader', () => this.publish());
+    }
+
+    start() {
+        const tick = () => {
+            this.publish();
+            this.timer = setTimeout(tick, 1000 / this.config.syncRate);
+        };
+        this.stop();
+        tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    publish() {
+        if (this.connection.leader) this.connection.send({ type: 'state', state: this.capture() });
+    }
+
+    capture() {
+        const { tree, cameraRig: rig, config } = this.sceneManager;
+        // onComplete is a callback, and only means something on this display
+        const { onComplete, ...options } = tree.transitionOptions;
+        return {
+            shape: tree.shapeName,
+            dispersed: tree.state === 'dispersed' ? tree.disperseTarget : null,
+            transition: { options, elapsed: performance.now() - tree.transition.startTime },
+            theme: config.scene.theme,
+            camera: {
+                yaw: rig.yaw,
+                yawVelocity: rig.yawVelocity,
+                pitch: rig.pitchTarget,
+                zoom: rig.zoomTarget,
+                roll: rig.rollTarget
+            }
+        };
+    }
+
+    // `snap` skips the transition and camera easing
+    apply(state, { snap = false } = {}) {
+        const { tree, cameraRig: rig, config } = this.sceneManager;
+
+        const dispersed = tree.state === 'dispersed' ? tree.disperseTarget : null;
+        const changed = state.dispersed ? state.dispersed !== dispersed : dispersed !== null || state.shape !== tree.shapeName;
+        if (changed) {
+            const options = snap ? { duration: 0 } : { ...state.transition.options };
+            if (state.dispersed) {
+                tree.disperse({ ...options, target: state.dispersed });
+            } else {
+                tree.form(state.shape, options);
+            }
+            // Start the morph as far along as the leader's
+            if (!snap) tree.transition.start(performance.now() - state.transition.elapsed);
+        }
+
+        if (state.theme !== config.scene.theme) this.sceneManager.setTheme(state.theme);
+
+        // The leader's attract mode drives every screen; followers don't start their own
+        rig.wake();
+        const camera = state.camera;
+        const drift = Math.atan2(Math.sin(camera.yaw - rig.yaw), Math.cos(camera.yaw - rig.yaw));
+        rig.yaw += snap || Math.abs(drift) > SNAP_ANGLE ? drift : drift * this.config.correction;
+        rig.yawVelocity = camera.yawVelocity;
+        rig.setPitch(camera.pitch);
+        rig.setZoom(camera.zoom);
+        rig.tilt(camera.roll);
+        if (snap) rig.snap();
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
@@ -0,0 +1,418 @@
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js';
+
+// A shape is a plain object with a `sample(i, count, random)` method returning
+// { x, y, z, type } for particle i, optionally with `color`, `size` and `opacity`
+// to override the per-type styling in ParticleTree. `random` is the scene's seeded
+// generator (see random.js); draw from it instead of Math.random() to stay reproducible.
+// `prepare(count, random)` is called once before sampling, if the shape defines it.
+
+// Formed shapes live roughly inside this box so the camera framing works for all of them
+const SHAPE_HEIGHT = 8.0;
+const SHAPE_CENTER_Y = 0.5;
+
+// Trunk/root shares come from the tree config so they can be tuned live
+const createBanyan = (config) => ({
+    sample(i, count, random) {
+        const { trunkRatio, rootRatio } = config;
+
+        if (i < count * trunkRatio) { // More trunk points
+            const height = 4.0;
+            const y = (random() * height) - (height / 2) - 1.0;
+            const progress = (y + (height / 2) + 1.0) / height;
+
+            // Much tighter trunk for sharpness
+            const radius = 0.3 + (1.0 - progress) * 1.5 + (random() * 0.05);
+            const angle = random() * Math.PI * 2;
+
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+
+            return { x, y, z, type: 'trunk' };
+        }
+        else if (i < count * (trunkRatio + rootRatio)) {
+            const dropHeight = 3.0;
+            const y = (random() * dropHeight) - 2.0;
+
+            const radius = 1.2 + random() * 2.5;
+            const angle = random() * Math.PI * 2;
+
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+
+            return { x, y, z, type: 'root' };
+        }
+        else {
+            const theta = random() * Math.PI * 2;
+            const phi = Math.acos(2 * random() - 1);
+
+            const r_sphere = 3.5 + random() * 0.5; // Tighter shell
+
+            let x = r_sphere * Math.sin(phi) * Math.cos(theta);
+            let y = r_sphere * Math.sin(phi) * Math.sin(theta);
+            let z = r_sphere * Math.cos(phi);
+
+            y = Math.abs(y) * 0.6 + 0.5;
+
+            x *= 1.5;
+            z *= 1.5;
+
+            return { x, y, z, type: 'leaves' };
+        }
+    }
+});
+
+const conifer = {
+    sample(i, count, random) {
+        if (i < count * 0.08) {
+            // Short straight trunk under the canopy
+            const y = -3.5 + random() * 1.5;
+            const angle = random() * Math.PI * 2;
+            const radius = 0.35 + random() * 0.05;
+            return { x: Math.cos(angle) * radius, y, z: Math.sin(angle) * radius, type: 'trunk' };
+        }
+
+        // Stacked tiers, each a cone that flares out at its bottom edge
+        const tiers = 5;
+        const tier = Math.floor(random() * tiers);
+        const tierHeight = 6.5 / tiers;
+        const t = random();
+        const y = -2.0 + tier * tierHeight * 0.85 + t * tierHeight;
+        const overall = (y + 2.0) / 7.0; // 0 at base, 1 at tip
+        const maxRadius = 3.2 * (1.0 - overall) + 0.1;
+        const radius = maxRadius * (0.6 + (1.0 - t) * 0.4) * Math.sqrt(random() * 0.3 + 0.7);
+        const angle = random() * Math.PI * 2;
+
+        return { x: Math.cos(angle) * radius, y, z: Math.sin(angle) * radius, type: 'leaves' };
+    }
+};
+
+const spiral = {
+    sample(i, count, random) {
+        if (i < count * 0.05) {
+            // Thin central pole
+            const y = -3.5 + random() * 8.0;
+            const angle = random() * Math.PI * 2;
+            return { x: Math.cos(angle) * 0.1, y, z: Math.sin(angle) * 0.1, type: 'trunk' };
+        }
+
+        // Two interleaved helices narrowing towards the top
+        const arm = i % 2;
+        const t = random();
+        const turns = 6;
+        const angle = t * turns * Math.PI * 2 + arm * Math.PI;
+        const radius = 3.5 * (1.0 - t) + 0.2;
+        const spread = 0.25 * (1.0 - t * 0.5);
+        const y = -3.5 + t * 8.0 + (random() - 0.5) * spread;
+
+        return {
+            x: Math.cos(angle) * radius + (random() - 0.5) * spread,
+            y,
+            z: Math.sin(angle) * radius + (random() - 0.5) * spread,
+            type: 'leaves'
+        };
+    }
+};
+
+const star = {
+    sample(i, count, random) {
+        // Five-pointed star: pick a triangle between the center and two outline vertices
+        const points = 5;
+        const outer = 4.0;
+        const inner = 1.6;
+        const k = Math.floor(random() * points * 2);
+        const a0 = (k / (points * 2)) * Math.PI * 2 + Math.PI / 2;
+        const a1 = ((k + 1) / (points * 2)) * Math.PI * 2 + Math.PI / 2;
+        const r0 = k % 2 === 0 ? outer : inner;
+        const r1 = k % 2 === 0 ? inner : outer;
+
+        // Uniform point in triangle (center, v0, v1)
+        let u = random();
+        let v = random();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        const x = u * Math.cos(a0) * r0 + v * Math.cos(a1) * r1;
+        const y = u * Math.sin(a0) * r0 + v * Math.sin(a1) * r1 + SHAPE_CENTER_Y;
+        const z = (random() - 0.5) * 0.6 * (1.0 - (u + v) * 0.7);
+
+        const edge = u + v > 0.9;
+        return {
+            x, y, z,
+            type: 'star',
+            color: edge ? 0xfff4c0 : 0xffc830,
+            size: edge ? 2.0 : 1.2 + random() * 0.5,
+            opacity: 0.95
+        };
+    }
+};
+
+export class ShapeLibrary {
+    // `config` supplies trunkRatio/rootRatio for the banyan
+    constructor(config = { trunkRatio: 0.25, rootRatio: 0.10 }) {
+        this.shapes = new Map();
+
+        this.register('banyan', createBanyan(config));
+        this.register('conifer', conifer);
+        this.register('spiral', spiral);
+        this.register('star', star);
+    }
+
+    register(name, shape) {
+        if (!shape || typeof shape.sample !== 'function') {
+            throw new Error(`Shape "${name}" must provide a sample(i, count, random) method`);
+        }
+        this.shapes.set(name, shape);
+        return this;
+    }
+
+    unregister(name) {
+        return this.shapes.delete(name);
+    }
+
+    has(name) {
+        return this.shapes.has(name);
+    }
+
+    get(name) {
+        return this.shapes.get(name);
+    }
+
+    list() {
+        return [...this.shapes.keys()];
+    }
+}
+
+// Samples the opaque pixels of an image (or canvas) as a flat slab of particles.
+// Useful for logos: pass an <img>, ImageBitmap or canvas that is already loaded.
+export function createImageMaskShape(image, options = {}) {
+    const {
+        threshold = 128,
+        channel = 'alpha', // 'alpha' for transparent PNGs, 'luminance' for bright-on-dark images
+        height = SHAPE_HEIGHT,
+        depth = 0.6,
+        useImageColors = true,
+        maxResolution = 256
+    } = options;
+
+    const scale = Math.min(1, maxResolution / Math.max(image.width, image.height));
+    const w = Math.max(1, Math.round(image.width * scale));
+    const h = Math.max(1, Math.round(image.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, w, h);
+    const data = ctx.getImageData(0, 0, w, h).data;
+
+    // Collect "on" pixels once; sampling then just picks from this list
+    const pixels = [];
+    for (let py = 0; py < h; py++) {
+        for (let px = 0; px < w; px++) {
+            const o = (py * w + px) * 4;
+            const value = channel === 'luminance'
+                ? (data[o] + data[o + 1] + data[o + 2]) / 3
+                : data[o + 3];
+            if (value >= threshold) {
+                pixels.push(px, py, o);
+            }
+        }
+    }
+
+    if (pixels.length === 0) {
+        throw new Error('Image mask has no pixels above the threshold');
+    }
+
+    const unit = height / h;
+    const color = new THREE.Color();
+
+    return {
+        sample(i, count, random) {
+            const p = Math.floor(random() * (pixels.length / 3)) * 3;
+            const px = pixels[p] + random();
+            const py = pixels[p + 1] + random();
+            const o = pixels[p + 2];
+
+            const point = {
+                x: (px - w / 2) * unit,
+                y: (h / 2 - py) * unit + SHAPE_CENTER_Y,
+                z: (random() - 0.5) * depth,
+                type: 'surface'
+            };
+
+            if (useImageColors) {
+                color.setRGB(data[o] / 255, data[o + 1] / 255, data[o + 2] / 255, THREE.SRGBColorSpace);
+                point.color = color.getHex();
+            }
+            return point;
+        }
+    };
+}
+
+export function loadImageMaskShape(url, options) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            try {
+                resolve(createImageMaskShape(image, options));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        image.onerror = () => reject(new Error(`Failed to load image mask: ${url}`));
+        image.src = url;
+    });
+}
+
+// Renders text to an offscreen canvas and samples it like an image mask
+export function createTextShape(text, options = {}) {
+    const {
+        font = 'bold 160px Inter, system-ui, sans-serif',
+        color = '#ffffff',
+        ...maskOptions
+    } = options;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const metrics = ctx.measureText(text);
+    const ascent = Math.ceil(metrics.actualBoundingBoxAscent);
+    const descent = Math.ceil(metrics.actualBoundingBoxDescent);
+
+    canvas.width = Math.ceil(metrics.width) + 20;
+    canvas.height = ascent + descent + 20;
+    ctx.font = font; // Resizing the canvas resets the context state
+    ctx.fillStyle = color;
+    ctx.fillText(text, 10, 10 + ascent);
+
+    // Text is usually much wider than tall; fit by width instead of height
+    const aspect = canvas.width / canvas.height;
+    const height = Math.min(SHAPE_HEIGHT, 12.0 / aspect);
+
+    return createImageMaskShape(canvas, { height, useImageColors: false, maxResolution: 512, ...maskOptions });
+}
+
+// Samples the surface of any mesh (or every mesh under an Object3D)
+export function createMeshShape(object, options = {}) {
+    const { height = SHAPE_HEIGHT, type = 'surface', useVertexColors = true } = options;
+
+    object.updateMatrixWorld(true);
+
+    const samplers = [];
+    let totalArea = 0;
+
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry) return;
+
+        const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+        geometry.applyMatrix4(child.matrixWorld);
+
+        const sampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+        const area = surfaceArea(geometry);
+        totalArea += area;
+        samplers.push({ sampler, area, hasColor: useVertexColors && !!geometry.attributes.color });
+    });
+
+    if (samplers.length === 0) {
+        throw new Error('Object contains no meshes to sample');
+    }
+
+    // Normalize so every model lands in the same space as the built-in shapes
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const scale = height / Math.max(size.x, size.y, size.z, 1e-6);
+
+    const position = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    return {
+        sample(i, count, random) {
+            // Pick a mesh weighted by its surface area so density is even across parts
+            let pick = random() * totalArea;
+            let entry = samplers[samplers.length - 1];
+            for (const s of samplers) {
+                pick -= s.area;
+                if (pick <= 0) {
+                    entry = s;
+                    break;
+                }
+            }
+
+            entry.sampler.setRandomGenerator(random);
+            entry.sampler.sample(position, normal, entry.hasColor ? color : undefined);
+
+            const point = {
+                x: (position.x - center.x) * scale,
+                y: (position.y - center.y) * scale + SHAPE_CENTER_Y,
+                z: (position.z - center.z) * scale,
+                type
+            };
+            if (entry.hasColor) point.color = color.getHex();
+            return point;
+        }
+    };
+}
+
+export async function loadModelShape(url, options) {
+    const extension = url.split('?')[0].split('.').pop().toLowerCase();
+
+    let object;
+    if (extension === 'obj') {
+        object = await new OBJLoader().loadAsync(url);
+    } else if (extension === 'glb' || extension === 'gltf') {
+        object = (await new GLTFLoader().loadAsync(url)).scene;
+    } else {
+        throw new Error(`Unsupported model format: .${extension}`);
+    }
+
+    return createMeshShape(object, options);
+}
+
+// Fills (or extrudes) the paths of an SVG document, e.g. a logo exported from a design tool.
+// Accepts SVG markup or a bare path `d` string.
+export function createSvgShape(svg, options = {}) {
+    const { depth = 0.6, ...meshOptions } = options;
+
+    const markup = svg.trim().startsWith('<')
+        ? svg
+        : `<svg xmlns="http://www.w3.org/2000/svg"><path d="${svg}"/></svg>`;
+    const { paths } = new SVGLoader().parse(markup);
+
+    const group = new THREE.Group();
+    for (const path of paths) {
+        for (const shape of SVGLoader.createShapes(path)) {
+            const geometry = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false });
+            group.add(new THREE.Mesh(geometry));
+        }
+    }
+
+    // SVG y axis points down
+    group.scale.y = -1;
+
+    return createMeshShape(group, meshOptions);
+}
+
+function surfaceArea(geometry) {
+    const pos = geometry.attributes.position;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const triangle = new THREE.Triangle();
+    let area = 0;
+
+    for (let i = 0; i < pos.count; i += 3) {
+        a.fromBufferAttribute(pos, i);
+        b.fromBufferAttribute(pos, i + 1);
+        c.fromBufferAttribute(pos, i + 2);
+        area += triangle.set(a, b, c).getArea();
+    }
+    return area;
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { createConfig } from './config.js';
+import { createRandom } from './random.js';
+
+// Falling snow in world space. Flakes drift with the wind, pile up on a ground plane
+// and melt there, and some are aimed at the tree's leaf particles where they settle
+// (and fall off again if the tree disperses). One pool of `maxCount` flakes is shared
+// by all three states.
+
+const vertexShader = `
+uniform float uPixelRatio;
+attribute float size;
+attribute float alpha;
+varying float vAlpha;
+
+void main() {
+    vAlpha = alpha;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = size * uPixelRatio * (12.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const fragmentShader = `
+varying float vAlpha;
+
+void main() {
+    float dist = distance(gl_PointCoord, vec2(0.5));
+    if (dist > 0.5 || vAlpha <= 0.0) discard;
+    gl_FragColor = vec4(vec3(1.0), vAlpha * pow(1.0 - dist * 2.0, 1.2));
+}
+`;
+
+const DEAD = 0;
+const FALLING = 1;
+const GROUND = 2;
+const TREE = 3;
+
+const SPAWN_HEIGHT = 9;
+const SPAWN_WIDTH = 24;
+const SPAWN_DEPTH = 16;
+const SETTLE_RADIUS = 0.5;
+
+export class SnowSystem {
+    // `config` is the snow section of config.js (read live, except maxCount);
+    // `tree` is the ParticleTree flakes can settle on; `random` comes from random.js
+    constructor(scene, { config = createConfig().snow, tree = null, random = createRandom() } = {}) {
+        this.scene = scene;
+        this.config = config;
+        this.tree = tree;
+        this.random = random;
+        this.capacity = config.maxCount;
+
+        this.state = new Uint8Array(this.capacity);
+        this.age = new Float32Array(this.capacity);
+        this.speed = new Float32Array(this.capacity);
+        this.phase = new Float32Array(this.capacity);
+        this.baseSize = new Float32Array(this.capacity);
+        this.leaf = new Int32Array(this.capacity).fill(-1); // Tree particle aimed at or settled on
+        this.spawnBudget = 0;
+        this.cursor = 0;
+        this.time = 0;
+        this.leafPosition = new THREE.Vector3();
+
+        this.initPoints();
+    }
+
+    initPoints() {
+        this.positions = new Float32Array(this.capacity * 3);
+        this.sizes = new Float32Array(this.capacity);
+        this.alphas = new Float32Array(this.capacity);
+
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('alpha', new THREE.BufferAttribute(this.alphas, 1).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setDrawRange(0, 0);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: { uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) } },
+            vertexShader,
+            fragmentShader,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true,
+        });
+
+        this.points = new THREE.Points(this.geometry, material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+    }
+
+    // 0 stops new flakes (what's already falling still lands), 1 is a blizzard
+    setIntensity(intensity) {
+        this.config.intensity = THREE.MathUtils.clamp(intensity, 0, 1);
+    }
+
+    // World units per frame; x is left/right on screen, z towards the camera
+    setWind(x, z = this.config.windZ) {
+        this.config.windX = THREE.MathUtils.clamp(x, -0.2, 0.2);
+        this.config.windZ = THREE.MathUtils.clamp(z, -0.2, 0.2);
+    }
+
+    freeSlot() {
+        for (let n = 0; n < this.capacity; n++) {
+            const i = (this.cursor + n) % this.capacity;
+            if (this.state[i] === DEAD) {
+                this.cursor = i + 1;
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // A random leaf of the formed tree, or -1
+    pickLeaf() {
+        const tree = this.tree;
+        if (!tree || tree.state !== 'formed') return -1;
+
+        const leaves = tree.typeNames.indexOf('leaves');
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const i = Math.floor(this.random() * tree.drawCount);
+            if (leaves === -1 || tree.treeTypes[i] === leaves) return i;
+        }
+        return -1;
+    }
+
+    leafWorldPosition(i) {
+        this.tree.getParticlePosition(i, this.leafPosition);
+        return this.tree.particles.localToWorld(this.leafPosition);
+    }
+
+    spawn() {
+        const i = this.freeSlot();
+        if (i === -1) return;
+
+        const { windX, windZ, fallSpeed, size, treeSettle } = this.config;
+        this.state[i] = FALLING;
+        this.age[i] = 0;
+        this.speed[i] = fallSpeed * (0.7 + this.random() * 0.6);
+        this.phase[i] = this.random() * Math.PI * 2;
+        this.baseSize[i] = size * (0.6 + this.random() * 0.8);
+        this.leaf[i] = this.random() < treeSettle ? this.pickLeaf() : -1;
+
+        let x;
+        let z;
+        let frames;
+        if (this.leaf[i] !== -1) {
+            // Drop it right above its leaf, upwind by however far it will drift on the way down
+            const leaf = this.leafWorldPosition(this.leaf[i]);
+            frames = (SPAWN_HEIGHT - leaf.y) / this.speed[i];
+            x = leaf.x;
+            z = leaf.z;
+        } else {
+            frames = (SPAWN_HEIGHT - this.config.groundY) / this.speed[i];
+            x = (this.random() - 0.5) * SPAWN_WIDTH;
+            z = (this.random() - 0.5) * SPAWN_DEPTH;
+        }
+
+        this.positions[i * 3] = x - windX * frames;
+        this.positions[i * 3 + 1] = SPAWN_HEIGHT;
+        this.positions[i * 3 + 2] = z - windZ * frames;
+    }
+
+    // `steps` is the time since the last update in 60 Hz frames (see FrameClock)
+    update(steps = 1) {
+        const config = this.config;
+        this.time += 0.01 * steps;
+
+        if (config.enabled) {
+            this.spawnBudget += config.intensity * config.rate / 60 * steps;
+            while (this.spawnBudget >= 1) {
+                this.spawn();
+                this.spawnBudget--;
+            }
+        }
+
+        const tree = this.tree;
+        const treeFormed = tree && tree.state === 'formed';
+        if (tree) tree.particles.updateMatrixWorld();
+
+        const positions = this.positions;
+        const meltFrames = config.meltTime * 60;
+        let highest = -1;
+
+        for (let i = 0; i < this.capacity; i++) {
+            const state = this.state[i];
+            if (state === DEAD) continue;
+
+            if (state === FALLING) {
+                const sway = Math.sin(this.time * 1.5 + this.phase[i]) * 0.01;
+                positions[i * 3] += (config.windX + sway) * steps;
+                positions[i * 3 + 1] -= this.speed[i] * steps;
+                positions[i * 3 + 2] += config.windZ * steps;
+                this.alphas[i] = Math.min((this.age[i] += steps) / 30, 1) * 0.8;
+                this.sizes[i] = this.baseSize[i];
+
+                if (this.leaf[i] !== -1) this.trySettle(i, treeFormed);
+
+                if (this.state[i] === FALLING && positions[i * 3 + 1] <= config.groundY) {
+                    this.state[i] = GROUND;
+                    this.age[i] = 0;
+                    positions[i * 3 + 1] = config.groundY + this.random() * 0.03;
+                } else if (Math.abs(positions[i * 3]) > 40 || Math.abs(positions[i * 3 + 2]) > 40) {
+                    this.kill(i);
+                    continue;
+                }
+            } else if (state === TREE) {
+                if (!treeFormed) {
+                    // Shaken off by a disperse
+                    this.state[i] = FALLING;
+                    this.leaf[i] = -1;
+                } else {
+                    const leaf = this.leafWorldPosition(this.leaf[i]);
+                    positions[i * 3] = leaf.x;
+                    positions[i * 3 + 1] = leaf.y + 0.05;
+                    positions[i * 3 + 2] = leaf.z;
+                }
+            }
+
+            if (this.state[i] === GROUND || this.state[i] === TREE) {
+                // Melt: fade and shrink
+                const remaining = 1 - (this.age[i] += steps) / meltFrames;
+                if (remaining <= 0) {
+                    this.kill(i);
+                    continue;
+                }
+                this.alphas[i] = 0.8 * remaining;
+                this.sizes[i] = this.baseSize[i] * (0.5 + 0.5 * remaining);
+            }
+
+            highest = i;
+        }
+
+        this.geometry.setDrawRange(0, highest + 1);
+        const { position, size, alpha } = this.geometry.attributes;
+        position.needsUpdate = true;
+        size.needsUpdate = true;
+        alpha.needsUpdate = true;
+    }
+
+    // Lands the flake on its leaf if it reached the leaf's height close enough to it
+    trySettle(i, treeFormed) {
+        if (!treeFormed) {
+            this.leaf[i] = -1;
+            return;
+        }
+
+        const leaf = this.leafWorldPosition(this.leaf[i]);
+        if (this.positions[i * 3 + 1] > leaf.y) return;
+
+        const dx = this.positions[i * 3] - leaf.x;
+        const dz = this.positions[i * 3 + 2] - leaf.z;
+        if (dx * dx + dz * dz < SETTLE_RADIUS * SETTLE_RADIUS) {
+            this.state[i] = TREE;
+            this.age[i] = 0;
+        } else {
+            this.leaf[i] = -1; // Missed: the wind changed or a hand pushed the leaf aside on the way down; keep falling
+        }
+    }
+
+    kill(i) {
+        this.state[i] = DEAD;
+        this.leaf[i] = -1;
+        this.alphas[i] = 0;
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -0,0 +1,53 @@
+// A small readout of how the page keeps up: frame rate and time, the quality level
+// the governor picked with what it scaled, and how often the hand model runs.
+// Refreshes a few times a second on its own timer; config.quality.stats shows it.
+
+const REFRESH_MS = 250;
+
+export class StatsOverlay {
+    // `config` is the quality section of config.js (read live)
+    constructor(element, sceneManager, { config = sceneManager.config.quality } = {}) {
+        this.element = element;
+        this.sceneManager = sceneManager;
+        this.config = config;
+        this.gestures = null;
+        this.timer = null;
+    }
+
+    // Adds the hand model's cadence to the readout
+    trackInference(gestureController) {
+        this.gestures = gestureController;
+    }
+
+    start() {
+        if (this.timer !== null) return;
+        this.timer = setInterval(() => this.draw(), REFRESH_MS);
+        this.draw();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.element.style.display = 'none';
+    }
+
+    draw() {
+        this.element.style.display = this.config.stats ? '' : 'none';
+        if (!this.config.stats) return;
+
+        const { quality, renderer, tree, meteors } = this.sceneManager;
+        const level = quality.current;
+        const lines = [
+            `${quality.fps.toFixed(0)} fps  ${quality.frameMs.toFixed(1)} ms`,
+            `quality ${level.name}${this.config.adaptive ? ' (auto)' : ''}`,
+            `pixel ratio ${renderer.getPixelRatio().toFixed(2)}  bloom ${Math.round(level.bloom * 100)}%`,
+            `particles ${tree.drawCount}/${tree.treeCount}`,
+            `meteors ${meteors.ambientCount}/${meteors.ambientTarget}`
+        ];
+        if (this.gestures) {
+            const cap = this.gestures.config.inferenceFps;
+            lines.push(`hands ${this.gestures.inferenceRate.toFixed(0)} Hz${cap > 0 ? `/${cap}` : ''}  ${this.gestures.inferenceMs.toFixed(1)} ms`);
+        }
+        this.element.textContent = lines.join('\n');
+    }
+}
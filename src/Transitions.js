@@ -0,0 +1,260 @@
+// Timed morphs between two particle layouts.
+// Every particle's anchor is transitionAnchor(source, target, delay): the global
+// transition time is shifted by the particle's stagger delay, eased, then carried
+// along a path. The same function exists in GLSL (GPU simulation and render shader)
+// and in JS (CPU path, getParticlePosition), so both paths agree exactly.
+
+// Order matters: the index is the id the shaders switch on
+export const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeOutCubic: t => (t - 1) * (t - 1) * (t - 1) + 1,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1),
+    easeOutExpo: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeOutBack: t => 1 + (2.70158 * (t - 1) + 1.70158) * (t - 1) * (t - 1)
+};
+export const EASING_NAMES = Object.keys(EASINGS);
+
+// direct: straight line, spiral: a full turn around the trunk, vortex: sucked towards
+// the axis and whirled, gravity: free fall vertically, linear sideways
+export const PATHS = ['direct', 'spiral', 'vortex', 'gravity'];
+
+// What orders the particles: bottomUp/topDown by target height, outward/inward by
+// the starting distance from the trunk
+export const STAGGERS = ['none', 'bottomUp', 'topDown', 'outward', 'inward', 'random'];
+
+export const transitionChunk = `
+uniform float uTransitionTime;
+uniform float uStagger;
+uniform int uEasing;
+uniform int uPath;
+
+float transitionEase(float t) {
+    if (uEasing == 1) return t * t;
+    if (uEasing == 2) return t * (2.0 - t);
+    if (uEasing == 3) return t < 0.5 ? 2.0 * t * t : -1.0 + (4.0 - 2.0 * t) * t;
+    if (uEasing == 4) return (t - 1.0) * (t - 1.0) * (t - 1.0) + 1.0;
+    if (uEasing == 5) return t < 0.5 ? 4.0 * t * t * t : (t - 1.0) * (2.0 * t - 2.0) * (2.0 * t - 2.0) + 1.0;
+    if (uEasing == 6) return t >= 1.0 ? 1.0 : 1.0 - pow(2.0, -10.0 * t);
+    if (uEasing == 7) return 1.0 + (2.70158 * (t - 1.0) + 1.70158) * (t - 1.0) * (t - 1.0);
+    return t;
+}
+
+vec2 rotateXZ(vec2 v, float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return vec2(v.x * c - v.y * s, v.x * s + v.y * c);
+}
+
+vec3 transitionAnchor(vec3 source, vec3 target, float delay) {
+    float t = clamp((uTransitionTime - delay * uStagger) / (1.0 - uStagger), 0.0, 1.0);
+    float p = transitionEase(t);
+    vec3 pos = mix(source, target, p);
+
+    if (uPath == 1) {
+        pos.xz = rotateXZ(pos.xz, (1.0 - p) * 6.2831853) * (1.0 + sin(p * 3.1415927) * 0.5);
+    } else if (uPath == 2) {
+        float pull = sin(p * 3.1415927);
+        pos.xz = rotateXZ(pos.xz, pull * (2.0 + pos.y * 0.3)) * (1.0 - 0.6 * pull);
+    } else if (uPath == 3) {
+        pos.y = mix(source.y, target.y, t * t);
+    }
+    return pos;
+}
+`;
+
+// JS twin of transitionChunk: writes particle i's anchor into out[o..o+2]
+export function transitionAnchor(out, o, source, target, i, delay, transition) {
+    const t = Math.min(Math.max((transition.time - delay * transition.stagger) / (1 - transition.stagger), 0), 1);
+    const p = transition.ease(t);
+    const sx = source[i * 3], sy = source[i * 3 + 1], sz = source[i * 3 + 2];
+    let x = sx + (target[i * 3] - sx) * p;
+    let y = sy + (target[i * 3 + 1] - sy) * p;
+    let z = sz + (target[i * 3 + 2] - sz) * p;
+
+    if (transition.path === 1 || transition.path === 2) {
+        let angle;
+        let scale;
+        if (transition.path === 1) {
+            angle = (1 - p) * Math.PI * 2;
+            scale = 1 + Math.sin(p * Math.PI) * 0.5;
+        } else {
+            const pull = Math.sin(p * Math.PI);
+            angle = pull * (2 + y * 0.3);
+            scale = 1 - 0.6 * pull;
+        }
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const rx = x * c - z * s;
+        z = (x * s + z * c) * scale;
+        x = rx * scale;
+    } else if (transition.path === 3) {
+        y = sy + (target[i * 3 + 1] - sy) * t * t;
+    }
+
+    out[o] = x;
+    out[o + 1] = y;
+    out[o + 2] = z;
+}
+
+export function createTransitionUniforms() {
+    return {
+        uTransitionTime: { value: 1 },
+        uStagger: { value: 0 },
+        uEasing: { value: 0 },
+        uPath: { value: 0 },
+    };
+}
+
+// One running morph: its clock, curve and the promise settled when it ends
+export class Transition {
+    constructor({ duration = 1, easing = 'easeInOutCubic', path = 'direct', stagger = 'none', staggerAmount = 0.3, onComplete } = {}) {
+        if (!EASINGS[easing]) console.warn(`Unknown easing "${easing}", available: ${EASING_NAMES.join(', ')}`);
+        if (!PATHS.includes(path)) console.warn(`Unknown transition path "${path}", available: ${PATHS.join(', ')}`);
+        if (!STAGGERS.includes(stagger)) console.warn(`Unknown stagger "${stagger}", available: ${STAGGERS.join(', ')}`);
+
+        this.duration = duration * 1000;
+        this.easing = EASINGS[easing] ? easing : 'linear';
+        this.ease = EASINGS[this.easing];
+        this.path = Math.max(PATHS.indexOf(path), 0);
+        this.staggerMode = STAGGERS.includes(stagger) ? stagger : 'none';
+        this.stagger = this.staggerMode === 'none' ? 0 : Math.min(Math.max(staggerAmount, 0), 0.9);
+        this.startTime = performance.now();
+        this.time = this.duration > 0 ? 0 : 1;
+        this.done = false;
+
+        // Resolves true when the morph lands, false when another one interrupts it
+        this.promise = new Promise(resolve => { this.resolve = resolve; });
+        if (onComplete) this.promise.then(completed => completed && onComplete());
+    }
+
+    // Restarts the clock, e.g. once a slow shape has finished sampling
+    start(now = performance.now()) {
+        this.startTime = now;
+    }
+
+    // Advances the clock; returns true on the frame the transition completes
+    update(now = performance.now()) {
+        if (this.done) return false;
+        this.time = this.duration > 0 ? Math.min((now - this.startTime) / this.duration, 1) : 1;
+        if (this.time < 1) return false;
+
+        this.done = true;
+        this.resolve(true);
+        return true;
+    }
+
+    cancel() {
+        if (this.done) return;
+        this.done = true;
+        this.resolve(false);
+    }
+
+    applyUniforms(uniforms) {
+        uniforms.uTransitionTime.value = this.time;
+        uniforms.uStagger.value = this.stagger;
+        uniforms.uEasing.value = EASING_NAMES.indexOf(this.easing);
+        uniforms.uPath.value = this.path;
+    }
+
+    // Fills delays (0-1 per particle) from the stagger mode and the two layouts;
+    // `random` (see random.js) orders the 'random' stagger
+    computeDelays(delays, source, target, count, random) {
+        const mode = this.staggerMode;
+        if (mode === 'none') {
+            delays.fill(0);
+            return;
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < count; i++) {
+            let key;
+            if (mode === 'bottomUp' || mode === 'topDown') {
+                key = target[i * 3 + 1];
+            } else if (mode === 'outward' || mode === 'inward') {
+                key = Math.sqrt(source[i * 3] * source[i * 3] + source[i * 3 + 2] * source[i * 3 + 2]);
+            } else {
+                key = random();
+            }
+            delays[i] = key;
+            if (key < min) min = key;
+            if (key > max) max = key;
+        }
+
+        const range = max - min || 1;
+        const invert = mode === 'topDown' || mode === 'inward';
+        for (let i = 0; i < count; i++) {
+            const normalized = (delays[i] - min) / range;
+            delays[i] = invert ? 1 - normalized : normalized;
+        }
+    }
+}
+
+// Layouts for disperse(), following the shape contract (sample(i, count, random) plus optional prepare)
+export const DISPERSE_TARGETS = {
+    // Uniform random points in a ball
+    sphere: {
+        sample(i, count, random) {
+            const r = 10 * Math.cbrt(random());
+            const theta = random() * 2 * Math.PI;
+            const phi = Math.acos(2 * random() - 1);
+            return {
+                x: r * Math.sin(phi) * Math.cos(theta),
+                y: r * Math.sin(phi) * Math.sin(theta),
+                z: r * Math.cos(phi)
+            };
+        }
+    },
+
+    // A wide sheet of flakes hanging in the air; pairs well with the gravity path
+    snowfall: {
+        sample(i, count, random) {
+            return {
+                x: (random() - 0.5) * 26,
+                y: -6 + random() * 16,
+                z: (random() - 0.5) * 16
+            };
+        }
+    },
+
+    // Flat disk with three trailing spiral arms
+    galaxy: {
+        sample(i, count, random) {
+            const arm = i % 3;
+            const r = 1 + Math.pow(random(), 0.6) * 11;
+            const angle = arm * (Math.PI * 2 / 3) + r * 0.45 + (random() - 0.5) * (1.2 / Math.sqrt(r));
+            return {
+                x: Math.cos(angle) * r,
+                y: (random() - 0.5) * 0.8 * (1 - r / 14),
+                z: Math.sin(angle) * r
+            };
+        }
+    },
+
+    // A handful of hollow shells bursting across the sky
+    firework: {
+        prepare(count, random) {
+            this.shells = Array.from({ length: 5 }, () => ({
+                x: (random() - 0.5) * 16,
+                y: random() * 8 - 1,
+                z: (random() - 0.5) * 8,
+                radius: 2.5 + random() * 1.5
+            }));
+        },
+        sample(i, count, random) {
+            if (!this.shells) this.prepare(count, random);
+            const shell = this.shells[i % this.shells.length];
+            const theta = random() * 2 * Math.PI;
+            const phi = Math.acos(2 * random() - 1);
+            const r = shell.radius * (0.9 + random() * 0.1);
+            return {
+                x: shell.x + r * Math.sin(phi) * Math.cos(theta),
+                y: shell.y + r * Math.sin(phi) * Math.sin(theta),
+                z: shell.z + r * Math.cos(phi)
+            };
+        }
+    }
+};
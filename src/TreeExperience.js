@@ -0,0 +1,444 @@
+import './TreeExperience.css';
+import { SceneManager } from './SceneManager.js';
+import { GestureController } from './GestureController.js';
+import { PointerController } from './PointerController.js';
+import { KeyboardController } from './KeyboardController.js';
+import { INPUT_EVENTS } from './InputController.js';
+import { HandOverlay } from './HandOverlay.js';
+import { OnboardingHints } from './OnboardingHints.js';
+import { StatsOverlay } from './StatsOverlay.js';
+import { RemoteConnection } from './RemoteConnection.js';
+import { RemoteController } from './RemoteController.js';
+import { SceneSync } from './SceneSync.js';
+import { bindCapture, bindDrawing, bindInput, download } from './bindings.js';
+import { createConfig } from './config.js';
+import { applySceneState, applyStateConfig } from './sceneState.js';
+
+// The whole experience as a component: scene, inputs, webcam, overlays and buttons,
+// built inside any container and sized to it. Several can live on one page, and
+// dispose() gives back the camera, the worker, the WebGL context and every listener,
+// so single-page apps can mount and unmount it on route changes.
+
+/**
+ * @typedef {Object} TreeExperienceOptions
+ * @property {import('./config.js').Config} [config] Full config, e.g. from loadConfig(); a fresh default one otherwise
+ * @property {boolean} [camera=true] Hand tracking through the webcam
+ * @property {Object|string|null} [replay] Gesture recording (or its URL) to play instead of the camera
+ * @property {boolean} [loop=false] Repeat the replay
+ * @property {Object|null} [state] Scene state from decodeSceneState() to open with
+ * @property {number|string|null} [seed] Makes the particles, shapes and effects reproducible
+ * @property {boolean} [controls=true] Photo, record, share and music buttons
+ * @property {boolean} [debug=false] Open the tuning panel
+ * @property {EventTarget} [keyboardTarget] Where shortcuts are listened for; by default the
+ *   experience itself, once clicked or tabbed to, so instances don't steal each other's keys
+ * @property {boolean} [autoStart=true] Start rendering (and the camera) right away
+ * @property {TreeExperienceRelay|null} [relay] Joins a relay (server/relay.js) to be driven by,
+ *   or mirror, other devices
+ */
+
+/**
+ * @typedef {Object} TreeExperienceRelay
+ * @property {string} url e.g. ws://192.168.1.20:8787
+ * @property {string} [room='default'] Devices in the same room drive and mirror each other
+ * @property {'display'|'controller'} [role='display'] Displays follow remote input and stay in
+ *   sync with each other; a controller only sends its input on
+ */
+
+/**
+ * Everything on() can listen to: the input events of InputController (from the camera,
+ * pointer, keyboard and relay alike) plus the experience's own.
+ * @typedef {'cameraready'|'cameraerror'|'relayopen'|'relayclose'|'start'|'pause'|'resume'|'dispose'|string} TreeExperienceEvent
+ */
+
+export const EXPERIENCE_EVENTS = [
+    ...INPUT_EVENTS,
+    'cameraready', 'cameraerror', 'relayopen', 'relayclose', 'start', 'pause', 'resume', 'dispose'
+];
+
+const TEMPLATE = `
+    <canvas class="scene"></canvas>
+    <div class="video-container">
+        <video class="webcam" autoplay playsinline muted></video>
+        <canvas class="hand-overlay"></canvas>
+    </div>
+    <div class="controls capture-controls">
+        <button class="capture-photo" type="button">Photo</button>
+        <button class="capture-record" type="button">Record</button>
+        <button class="capture-share" type="button">Share</button>
+    </div>
+    <div class="controls audio-controls">
+        <label>Music<input class="audio-file" type="file" accept="audio/*" /></label>
+        <button class="audio-mic" type="button">Mic</button>
+    </div>
+    <div class="controls drawing-controls">
+        <button class="drawing-toggle" type="button">Draw</button>
+        <button class="drawing-undo" type="button">Undo</button>
+        <button class="drawing-save" type="button">Save</button>
+        <label>Load<input class="drawing-load" type="file" accept="application/json,.json" /></label>
+    </div>
+    <ul class="hints"></ul>
+    <pre class="stats"></pre>
+    <div class="loading">Loading AI Model...</div>
+`;
+
+export class TreeExperience {
+    /**
+     * @param {HTMLElement} container Gets a full-size child holding the experience
+     * @param {TreeExperienceOptions} [options]
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            camera: true,
+            replay: null,
+            loop: false,
+            state: null,
+            seed: null,
+            controls: true,
+            debug: false,
+            keyboardTarget: null,
+            autoStart: true,
+            relay: null,
+            ...options
+        };
+        this.config = this.options.config || createConfig();
+        this.status = 'idle'; // idle, running, paused or disposed
+        this.listeners = {};
+        EXPERIENCE_EVENTS.forEach(event => {
+            this.listeners[event] = [];
+        });
+        this.cleanup = []; // Undoes every DOM listener and observer added below
+        this.inputs = [];
+        this.gestures = null;
+        this.handOverlay = null;
+        this.debugPanel = null;
+        this.remote = null; // RemoteConnection while joined to a relay
+        this.sync = null;
+        this.ready = null; // Promise from start(), settles once the camera is up or has failed (right away for a replay)
+
+        this.buildDom();
+
+        // Config values must be in place before the scene reads them
+        if (this.options.state) applyStateConfig(this.config, this.options.state);
+
+        this.sceneManager = new SceneManager(this.element('.scene'), this.config, { seed: this.options.seed });
+        if (this.options.state) applySceneState(this.sceneManager, this.options.state);
+
+        const resizeObserver = new ResizeObserver(([entry]) => {
+            const { width, height } = entry.contentRect;
+            if (width > 0 && height > 0) this.sceneManager.setSize(width, height);
+        });
+        resizeObserver.observe(this.root);
+        this.cleanup.push(() => resizeObserver.disconnect());
+
+        bindCapture(this.sceneManager, {
+            photo: this.element('.capture-photo'),
+            record: this.element('.capture-record'),
+            share: this.element('.capture-share')
+        }, this.element('.webcam'));
+        this.bindAudio();
+        this.refreshDrawing = bindDrawing(this.sceneManager.drawing, {
+            toggle: this.element('.drawing-toggle'),
+            undo: this.element('.drawing-undo'),
+            save: this.element('.drawing-save'),
+            load: this.element('.drawing-load')
+        });
+
+        // Frame rate and quality readout (config.quality.stats)
+        this.stats = new StatsOverlay(this.element('.stats'), this.sceneManager);
+
+        // Gesture hints fade as each one is tried, and come back for the next visitor once the camera idles
+        this.hints = new OnboardingHints(this.element('.hints'));
+        this.hints.setVisible(this.config.hud.hints);
+        this.sceneManager.cameraRig.on('attractstart', () => this.hints.reset());
+
+        // Before the local inputs, so they are sent on to the relay too
+        if (this.options.relay) this.connectRelay(this.options.relay);
+
+        // Mouse, touch and keyboard always work
+        const keyboardTarget = this.options.keyboardTarget || this.root;
+        const pointer = new PointerController(this.element('.scene'));
+        pointer.initialize();
+        this.addInput(pointer);
+        this.keyboard = new KeyboardController(keyboardTarget);
+        this.keyboard.initialize();
+        this.addInput(this.keyboard);
+        // Shift+A switches drawing mode, Ctrl/Cmd+Z takes back the last stroke
+        this.listen(keyboardTarget, 'keydown', (event) => {
+            if (event.shiftKey && event.code === 'KeyA') {
+                this.setDrawing(!this.config.drawing.enabled);
+            } else if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ' && this.config.drawing.enabled) {
+                event.preventDefault();
+                this.sceneManager.drawing.undo();
+            }
+        });
+
+        if (this.options.debug) this.openDebugPanel();
+        if (this.options.autoStart) this.start();
+    }
+
+    // The first element in this experience matching `selector`
+    element(selector) {
+        return this.root.querySelector(selector);
+    }
+
+    buildDom() {
+        this.root = document.createElement('div');
+        this.root.className = 'tree-experience';
+        this.root.tabIndex = 0; // Focusable, so its keyboard shortcuts only apply while it has focus
+        this.root.innerHTML = TEMPLATE;
+        this.element('.capture-controls').hidden = !this.options.controls;
+        this.element('.audio-controls').hidden = !this.options.controls;
+        this.element('.drawing-controls').hidden = !this.options.controls;
+        this.container.appendChild(this.root);
+    }
+
+    // Adds a DOM listener that dispose() removes again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanup.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Browsers keep audio muted until the first interaction; pick a song or the mic to make the tree dance
+    bindAudio() {
+        const audio = this.sceneManager.audio;
+        const unlock = () => audio.unlock();
+        this.listen(this.root, 'pointerdown', unlock, { once: true });
+        this.listen(this.root, 'keydown', unlock, { once: true });
+
+        const audioFile = this.element('.audio-file');
+        const audioMic = this.element('.audio-mic');
+        this.listen(audioFile, 'change', () => {
+            if (!audioFile.files.length) return;
+            audio.useFile(audioFile.files[0]).catch(error => console.error('Audio file failed:', error));
+            audioMic.classList.remove('active');
+        });
+        this.listen(audioMic, 'click', () => {
+            if (audio.stream) {
+                audio.stop();
+                audioMic.classList.remove('active');
+                return;
+            }
+            audio.useMicrophone()
+                .then(() => audioMic.classList.add('active'))
+                .catch(error => console.error('Microphone unavailable:', error));
+        });
+    }
+
+    // Drives the scene from an input controller and forwards its events to on() listeners
+    // (and, joined to a relay, to the other devices)
+    addInput(input) {
+        bindInput(input, this.sceneManager);
+        this.hints.watch(input);
+        INPUT_EVENTS.forEach(event => input.on(event, (...args) => this.emit(event, ...args)));
+        if (this.remote && !(input instanceof RemoteController)) this.remote.forward(input);
+        this.inputs.push(input);
+    }
+
+    // Every display in the room reacts to every device's input; the relay's leading
+    // display also keeps the others' shape, theme and camera in step with its own
+    connectRelay({ url, room = 'default', role = 'display' }) {
+        this.remote = new RemoteConnection(url, { room, role, config: this.config.remote });
+        this.remote.on('open', () => this.emit('relayopen', { room, role }));
+        this.remote.on('close', () => this.emit('relayclose', { room, role }));
+        this.cleanup.push(() => this.remote.close());
+        if (role !== 'display') return;
+
+        this.addInput(new RemoteController(this.remote));
+        this.sync = new SceneSync(this.sceneManager, this.remote);
+        this.sync.start();
+        this.cleanup.push(() => this.sync.dispose());
+    }
+
+    /**
+     * @param {TreeExperienceEvent} event
+     * @param {Function} callback Gets the same arguments as the InputController event
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, ...args) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(cb => cb(...args));
+        }
+    }
+
+    // Starts rendering, and the first time also the camera (or replay). Returns `ready`.
+    start() {
+        if (this.status === 'disposed') return Promise.resolve();
+        if (this.status === 'paused') {
+            this.resume();
+            return this.ready;
+        }
+        if (this.status === 'running') return this.ready;
+
+        this.status = 'running';
+        this.sceneManager.start();
+        this.stats.start();
+        this.ready = this.startGestures();
+        this.emit('start');
+        return this.ready;
+    }
+
+    // Freezes the scene and stops hand tracking; the camera stays open for a quick resume()
+    pause() {
+        if (this.status !== 'running') return;
+        this.status = 'paused';
+        this.sceneManager.stop();
+        this.stats.stop();
+        if (this.handOverlay) this.handOverlay.stop();
+        if (this.gestures) this.gestures.pause();
+        this.emit('pause');
+    }
+
+    resume() {
+        if (this.status !== 'paused') return;
+        this.status = 'running';
+        this.sceneManager.start();
+        this.stats.start();
+        if (this.handOverlay) this.handOverlay.start();
+        if (this.gestures) this.gestures.resume();
+        this.emit('resume');
+    }
+
+    // Releases the camera, the hand model worker, the WebGL context and all listeners,
+    // and removes the experience from its container. The instance is done after this.
+    dispose() {
+        if (this.status === 'disposed') return;
+        this.status = 'disposed';
+        this.emit('dispose');
+
+        if (this.handOverlay) this.handOverlay.stop();
+        this.stats.stop();
+        if (this.debugPanel) this.debugPanel.dispose();
+        this.inputs.forEach(input => input.dispose());
+        this.cleanup.forEach(undo => undo());
+        this.cleanup = [];
+        this.sceneManager.dispose();
+        this.root.remove();
+        EXPERIENCE_EVENTS.forEach(event => {
+            this.listeners[event] = [];
+        });
+    }
+
+    // Commands
+
+    form(shapeName, options) {
+        return this.sceneManager.tree.form(shapeName, options);
+    }
+
+    disperse(options) {
+        return this.sceneManager.tree.disperse(options);
+    }
+
+    setTheme(name) {
+        this.sceneManager.setTheme(name);
+    }
+
+    // Drawing mode: pointing (or dragging) draws, a fist fills the strokes with particles
+    setDrawing(enabled) {
+        this.config.drawing.enabled = enabled;
+        this.refreshDrawing();
+    }
+
+    // Live tuning panel; the ` key toggles it
+    async openDebugPanel() {
+        if (this.debugPanel) return this.debugPanel;
+        const { DebugPanel } = await import('./DebugPanel.js');
+        if (this.status === 'disposed') return null;
+        const sceneManager = this.sceneManager;
+        this.debugPanel = new DebugPanel(this.config, {
+            // Picking a theme also fades the atmosphere; other edits are applied as they are
+            onChange: (path) => {
+                if (path === 'drawing.enabled') this.refreshDrawing();
+                if (path === 'scene.theme') sceneManager.setTheme(this.config.scene.theme);
+                else sceneManager.applyConfig();
+            }
+        });
+        return this.debugPanel;
+    }
+
+    async startGestures() {
+        const loading = this.element('.loading');
+        const video = this.element('.webcam');
+
+        // Camera turned off: mouse, touch and keyboard only
+        if (!this.options.camera && !this.options.replay) {
+            loading.hidden = true;
+            video.parentElement.hidden = true;
+            return;
+        }
+
+        const gestures = new GestureController(video, this.config.gestures);
+        this.gestures = gestures;
+        this.addInput(gestures);
+        this.stats.trackInference(gestures);
+
+        // What the model sees, drawn over the webcam preview (hud.landmarks)
+        this.handOverlay = new HandOverlay(this.element('.hand-overlay'), video, gestures, { config: this.config.hud });
+        this.handOverlay.start();
+
+        if (this.options.replay) {
+            loading.hidden = true;
+            video.parentElement.hidden = true;
+            // Plays until the recording ends (or forever with `loop`); failures are logged there
+            this.startReplay(this.options.replay);
+            return;
+        }
+
+        // Shift+G starts and stops recording the hand landmarks, saved as a replayable JSON file
+        this.listen(this.options.keyboardTarget || this.root, 'keydown', (event) => {
+            if (!event.shiftKey || event.code !== 'KeyG') return;
+            if (!gestures.recording) {
+                gestures.startRecording();
+                return;
+            }
+            const recording = gestures.stopRecording();
+            download(new Blob([JSON.stringify(recording)], { type: 'application/json' }), 'gestures.json');
+        });
+        this.cleanup.push(() => gestures.dispose());
+
+        try {
+            await gestures.initialize();
+            if (this.status === 'disposed') return;
+            loading.hidden = true;
+            this.emit('cameraready', { delegate: gestures.delegate, worker: !!gestures.worker });
+        } catch (error) {
+            if (this.status === 'disposed') return;
+            console.error('Failed to initialize:', error);
+            video.parentElement.hidden = true;
+            loading.textContent = 'Camera unavailable: drag, click or use the keyboard';
+            setTimeout(() => { loading.hidden = true; }, 4000);
+            this.emit('cameraerror', error);
+        }
+    }
+
+    // `recording` is a recording object or the URL of one
+    async startReplay(recording) {
+        this.cleanup.push(() => this.gestures.dispose());
+        try {
+            if (typeof recording === 'string') {
+                const response = await fetch(recording);
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                recording = await response.json();
+            }
+            if (this.status === 'disposed') return;
+            await this.gestures.replay(recording, { loop: this.options.loop });
+        } catch (error) {
+            console.error(`Failed to replay ${typeof recording === 'string' ? recording : 'recording'}:`, error);
+        }
+    }
+}
+
+/**
+ * Builds a tree experience inside `container` (it fills it and follows its size).
+ * @param {HTMLElement} container
+ * @param {TreeExperienceOptions} [options]
+ * @returns {TreeExperience}
+ */
+export function createTreeExperience(container, options = {}) {
+    return new TreeExperience(container, options);
+}
@@ -0,0 +1,230 @@
+import { sceneStateUrl } from './sceneState.js';
+import { themeNames } from './themes.js';
+
+// What every input does to the scene, and the capture buttons. TreeExperience wires
+// each input controller it creates through bindInput().
+
+const FLICK_DISTANCE = 0.4; // Scene units between two pointer events
+const SNOW_WIND = 0.02; // Wind per scene unit of open-hand motion
+
+export function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Photo, video and link buttons so guests can take their tree home; `video` is the
+// webcam shown picture-in-picture in recordings
+export function bindCapture(sceneManager, { photo, record, share }, video) {
+    const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    photo.addEventListener('click', async () => {
+        download(await sceneManager.captureImage(), `tree-${stamp()}.png`);
+    });
+
+    record.addEventListener('click', async () => {
+        if (sceneManager.recorder.recording) {
+            record.classList.remove('active');
+            record.textContent = 'Record';
+            download(await sceneManager.stopRecording(), `tree-${stamp()}.webm`);
+            return;
+        }
+        try {
+            sceneManager.startRecording({ webcam: video });
+            record.classList.add('active');
+            record.textContent = 'Stop';
+        } catch (error) {
+            console.error('Recording failed:', error);
+        }
+    });
+
+    share.addEventListener('click', async () => {
+        const url = sceneStateUrl(sceneManager);
+        try {
+            await navigator.clipboard.writeText(url);
+            share.textContent = 'Link copied';
+            setTimeout(() => { share.textContent = 'Share'; }, 2000);
+        } catch {
+            window.prompt('Copy this link', url);
+        }
+    });
+}
+
+// Drawing mode switch, undo, and saving and loading drawings as JSON
+export function bindDrawing(drawing, { toggle, undo, save, load }) {
+    const refresh = () => {
+        toggle.classList.toggle('active', drawing.config.enabled);
+        undo.disabled = !drawing.strokes.length;
+        save.disabled = !drawing.strokes.length;
+    };
+    drawing.on('change', refresh);
+    refresh();
+
+    toggle.addEventListener('click', () => {
+        drawing.config.enabled = !drawing.config.enabled;
+        refresh();
+    });
+    undo.addEventListener('click', () => drawing.undo());
+    save.addEventListener('click', () => {
+        download(new Blob([JSON.stringify(drawing.toJSON())], { type: 'application/json' }), 'drawing.json');
+    });
+    load.addEventListener('change', async () => {
+        if (!load.files.length) return;
+        try {
+            drawing.load(await load.files[0].text());
+            drawing.config.enabled = true;
+            refresh();
+        } catch (error) {
+            console.error('Drawing failed to load:', error);
+        }
+        load.value = '';
+    });
+    return refresh;
+}
+
+// Connects any input controller to the scene; they all emit the same events
+export function bindInput(input, sceneManager) {
+    const tree = sceneManager.tree;
+    const meteors = sceneManager.meteors;
+    const snow = sceneManager.snow;
+    const audio = sceneManager.audio;
+    const rig = sceneManager.cameraRig;
+    const drawing = sceneManager.drawing;
+    const visibleHands = new Set();
+    const lastPointer = new Map(); // Previous fingertip position per hand, in scene space
+    const lastScreen = new Map(); // Same, in 0-1 screen coordinates
+    input.on('handfound', ({ handedness }) => visibleHands.add(handedness));
+
+    // Any input ends the idle camera flight (move and pointer wake it through the rig calls below)
+    const activity = ['handfound', 'gesturestart', 'swipeleft', 'swiperight', 'swipeup', 'swipedown', 'circle', 'twohandsstart'];
+    activity.forEach(event => input.on(event, () => rig.wake()));
+    input.on('handlost', ({ handedness }) => {
+        visibleHands.delete(handedness);
+        drawing.end(handedness);
+        tree.removeForce(handedness);
+        sceneManager.cursor.remove(handedness);
+        lastPointer.delete(handedness);
+        lastScreen.delete(handedness);
+    });
+
+    // With both hands up, a left fist holds the rotation while the right hand steers
+    let rotationLocked = false;
+    input.on('fist', ({ handedness }) => {
+        if (handedness === 'Left' && visibleHands.has('Right')) {
+            rotationLocked = true;
+            rig.stopRotation();
+        } else if (drawing.config.enabled && (drawing.strokes.length || drawing.active)) {
+            // In drawing mode the particles fill what was drawn
+            audio.play('chime');
+            drawing.form();
+        } else {
+            if (tree.state !== 'formed') audio.play('chime');
+            tree.form();
+        }
+    });
+    input.on('gestureend', ({ gesture, handedness }) => {
+        if (gesture === 'fist' && handedness === 'Left') rotationLocked = false;
+    });
+    input.on('open', () => {
+        if (tree.state !== 'dispersed') audio.play('whoosh');
+        tree.disperse();
+    });
+    // The steering hand orbits the camera with its x, raises or lowers it with its height
+    // and, alone in view, zooms as it moves towards or away from the camera
+    input.on('move', (x, { handedness, y, size }) => {
+        if (rotationLocked) return;
+        // Hold the camera still while a stroke is being drawn
+        if (drawing.active) return;
+        // Only one hand steers at a time: the right one when both are visible
+        if (handedness === 'Left' && visibleHands.has('Right')) return;
+        rig.rotate(x);
+        if (y !== undefined) rig.setPitchFromHand(y);
+        if (size !== undefined && visibleHands.size === 1) rig.setZoomFromHand(size);
+    });
+
+    // Spread or bring the hands together to zoom, raise one side to tilt the view
+    let zoomBase = rig.zoomTarget;
+    input.on('twohandsstart', () => { zoomBase = rig.zoomTarget; });
+    input.on('twohands', ({ zoom, tilt }) => {
+        rig.setZoom(zoomBase * zoom);
+        rig.tilt(tilt);
+    });
+    input.on('twohandsend', () => rig.tilt(0));
+
+    // The index fingertip pushes particles away, pulls them in on a pinch, swirls them with three fingers
+    const forceModes = { pinch: 'attract', three: 'swirl' };
+    input.on('pointer', ({ x, y, handedness, gesture, pressed }) => {
+        rig.wake();
+        const position = sceneManager.screenToScene(x, y);
+
+        // In drawing mode the pointing fingertip (or a drag) draws instead of pushing particles
+        if (drawing.config.enabled && (gesture === 'point' || (pressed && gesture !== 'fist'))) {
+            drawing.draw(handedness, position);
+            sceneManager.cursor.set(handedness, position, 'repel');
+            lastPointer.delete(handedness);
+            lastScreen.set(handedness, { x, y });
+            return;
+        }
+        drawing.end(handedness);
+        const mode = forceModes[gesture] || 'repel';
+        tree.setForce(handedness, { position, mode });
+        sceneManager.cursor.set(handedness, position, mode);
+
+        // Flicking the fingertip throws meteors off it
+        const last = lastPointer.get(handedness);
+        if (last && last.distanceTo(position) > FLICK_DISTANCE) {
+            meteors.emit(position, position.clone().sub(last), { count: 3 });
+        }
+        // An open hand blows the snow the way it waves and makes it snow harder when raised
+        if (gesture === 'open' && last) {
+            snow.setWind(snow.config.windX * 0.95 + (position.x - last.x) * SNOW_WIND);
+            snow.setIntensity(1 - y);
+        }
+        lastPointer.set(handedness, position);
+        lastScreen.set(handedness, { x, y });
+
+        // Pointing dims or brightens the aurora with the fingertip's height
+        if (gesture === 'point') tree.setAuroraIntensity((1 - y) * 2);
+    });
+
+    // Swipe through the shape library, or jump straight to one with a pose
+    const cycleShape = (step) => {
+        const shapes = tree.shapes.list();
+        const next = (shapes.indexOf(tree.shapeName) + step + shapes.length) % shapes.length;
+        tree.form(shapes[next]);
+    };
+    // ...with a meteor shower flying the way of the swipe
+    input.on('swiperight', () => {
+        cycleShape(1);
+        meteors.burst({ angle: 0 });
+    });
+    input.on('swipeleft', () => {
+        cycleShape(-1);
+        meteors.burst({ angle: 180 });
+    });
+    input.on('circle', () => tree.form('spiral'));
+    // Two fingers take back the last stroke in drawing mode
+    input.on('victory', () => {
+        if (drawing.config.enabled) drawing.undo();
+        else tree.form('star');
+    });
+    input.on('thumbsup', () => tree.form('conifer'));
+
+    // Point at the tree to light up an ornament there, or hang a new one
+    input.on('point', ({ handedness }) => {
+        if (drawing.config.enabled) return;
+        const screen = lastScreen.get(handedness);
+        if (screen) sceneManager.decorations.addAt(sceneManager.screenToRay(screen.x, screen.y));
+    });
+
+    // Swipe up or down to step through the color themes
+    const cycleTheme = (step) => {
+        const current = themeNames.indexOf(sceneManager.config.scene.theme);
+        sceneManager.setTheme(themeNames[(current + step + themeNames.length) % themeNames.length]);
+    };
+    input.on('swipeup', () => cycleTheme(1));
+    input.on('swipedown', () => cycleTheme(-1));
+}
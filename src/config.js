@@ -0,0 +1,615 @@
+import { themeNames } from './themes.js';
+import { DISPERSE_TARGETS, EASING_NAMES, PATHS, STAGGERS } from './Transitions.js';
+import { QUALITY_LEVELS } from './QualityGovernor.js';
+
+// Every tunable number in the experience, in one place.
+// Components keep a reference to their section and read it live, so the debug panel
+// (or anything else) can change values at runtime. Values marked "reload" are only
+// read at startup.
+
+/**
+ * @typedef {Object} TransitionConfig
+ * @property {number} duration Seconds
+ * @property {string} easing One of EASINGS in Transitions.js
+ * @property {'direct'|'spiral'|'vortex'|'gravity'} path
+ * @property {'none'|'bottomUp'|'topDown'|'outward'|'inward'|'random'} stagger Particle order
+ * @property {number} staggerAmount Share of the duration spread across the particles
+ */
+
+/**
+ * @typedef {Object} TreeConfig
+ * @property {number} count Particle count (reload)
+ * @property {'auto'|'gpu'|'cpu'} simulation Simulation path (reload)
+ * @property {number} trunkRatio Share of banyan particles in the trunk
+ * @property {number} rootRatio Share of banyan particles in the aerial roots
+ * @property {number} morphSpeed Fraction of the remaining color/theme fade covered per frame
+ * @property {{ form: TransitionConfig, disperse: TransitionConfig & { target: string } }} transitions
+ *   Defaults for form() and disperse(); disperse's target is one of DISPERSE_TARGETS
+ * @property {number} forceDamping Force velocity kept per frame
+ * @property {number} springBack Force displacement kept per frame
+ * @property {number} wind Sway amplitude in the vertex shader
+ * @property {boolean} aurora Show the aurora veil behind the tree
+ * @property {number} auroraCount Aurora blob count, i.e. its density (reload)
+ * @property {number} auroraIntensity Aurora brightness, 0-2
+ * @property {number} auroraSpeed Aurora flow speed
+ */
+
+/**
+ * @typedef {Object} MeteorConfig
+ * @property {number} maxCount Pool size shared by ambient meteors, showers and emissions (reload)
+ * @property {number} count Ambient meteors kept in the sky
+ * @property {number} spawnRate Ambient meteors spawned per second while below count
+ * @property {number} direction Flight direction in degrees on screen, 0 is right, 90 up
+ * @property {number} spread Random deviation from direction in degrees
+ * @property {number} speed Distance per frame
+ * @property {number} trailLength
+ * @property {number} trailWidth
+ * @property {number} burstCount Meteors in a shower
+ */
+
+/**
+ * @typedef {Object} SnowConfig
+ * @property {boolean} enabled
+ * @property {number} maxCount Flakes falling, lying and settled at once (reload)
+ * @property {number} intensity 0-1, scales the spawn rate
+ * @property {number} rate Flakes per second at full intensity
+ * @property {number} fallSpeed Distance per frame
+ * @property {number} windX Drift per frame, positive to the right
+ * @property {number} windZ Drift per frame, positive towards the camera
+ * @property {number} groundY Height of the ground flakes pile up on
+ * @property {number} meltTime Seconds a settled flake lasts
+ * @property {number} treeSettle Share of flakes aimed at the tree's leaves
+ * @property {number} size
+ */
+
+/**
+ * @typedef {Object} DecorationConfig
+ * @property {boolean} enabled
+ * @property {number} maxCount Automatic plus hand-placed decorations (reload)
+ * @property {number} lights Lights on the string spiralling around the canopy
+ * @property {number} lightTurns Turns of the light string
+ * @property {'mixed'|'steady'|'blink'|'twinkle'|'chase'} lightPattern
+ * @property {boolean} lightsOn Start with the lights lit; otherwise point at them to light them up
+ * @property {number} blinkSpeed
+ * @property {number} baubles
+ * @property {boolean} star Star on top
+ * @property {number} baubleSize
+ * @property {number} lightSize
+ * @property {number} starSize
+ */
+
+/**
+ * @typedef {Object} DrawingConfig
+ * @property {boolean} enabled Drawing mode: pointing draws strokes, a fist fills them with particles
+ * @property {number} smoothing How much the fingertip is eased while drawing, 0-1
+ * @property {number} spacing Scene units between stored stroke points
+ * @property {number} thickness Radius of the particle tube around each stroke
+ * @property {number} size Size of the glowing stroke points
+ * @property {number} maxPoints Stroke points across the whole drawing (reload)
+ */
+
+/**
+ * @typedef {Object} AudioConfig
+ * @property {number} sensitivity Gain applied to the analysed band levels
+ * @property {number} smoothing Analyser smoothing, 0 jumpy to 0.99 sluggish
+ * @property {number} sizePulse How much bass swells the particles
+ * @property {number} bloomBoost Bloom strength added at full bass
+ * @property {number} shimmer How much treble makes the leaves flicker
+ * @property {number} beatThreshold Bass must exceed its recent average by this factor to count as a beat
+ * @property {number} beatCooldown Minimum milliseconds between beats
+ * @property {number} beatBurst Meteors per beat, 0 for none
+ * @property {boolean} effects Sound effects on gestures (chime on form, whoosh on disperse)
+ * @property {number} effectsVolume
+ */
+
+/**
+ * @typedef {Object} CaptureConfig
+ * @property {number} width Screenshot width in pixels, independent of the window
+ * @property {number} height Screenshot height in pixels
+ * @property {number} fps Recording frame rate
+ * @property {number} videoBitrate Bits per second
+ * @property {boolean} webcam Show the camera picture-in-picture in recordings
+ * @property {number} pipSize Picture-in-picture width as a share of the video width
+ */
+
+/**
+ * @typedef {Object} CameraConfig
+ * @property {number} rotationDamping Orbit speed kept per frame
+ * @property {number} rotationSensitivity Orbit speed per unit of hand offset from center
+ * @property {number} damping Share of the way to the target pitch/zoom/roll covered per frame
+ * @property {number} pitchSensitivity Pitch in radians per unit of hand height from center
+ * @property {number} minPitch Radians, negative looks up at the tree
+ * @property {number} maxPitch Radians, positive looks down on it
+ * @property {number} minZoom
+ * @property {number} maxZoom
+ * @property {boolean} handZoom A hand moving towards the camera zooms in
+ * @property {number} handZoomReference Palm size (image units) that maps to zoom 1
+ * @property {boolean} attract Fly a cinematic loop when nobody is around
+ * @property {number} idleTimeout Seconds without input before attract mode starts
+ * @property {number} attractSpeed
+ */
+
+/**
+ * @typedef {Object} HudConfig
+ * @property {boolean} landmarks Draw the detected hand skeleton and gesture over the webcam preview
+ * @property {boolean} cursor Show where each hand touches the scene
+ * @property {number} cursorSize
+ * @property {boolean} hints Gesture hints that fade as each is performed, back for every new visitor (reload)
+ */
+
+/**
+ * @typedef {Object} QualityConfig
+ * @property {boolean} adaptive Lower or raise the level to hold targetFps
+ * @property {number} targetFps
+ * @property {'low'|'medium'|'high'|'ultra'} level Current level (see QualityGovernor.js)
+ * @property {number} upgradeDelay Seconds of headroom before trying a higher level
+ * @property {boolean} stats Show the frame rate and quality overlay
+ */
+
+/**
+ * @typedef {Object} RemoteConfig
+ * @property {number} syncRate State updates per second the leading display sends to the others
+ * @property {number} correction Share of a follower's camera drift corrected per update, 0-1
+ * @property {number} reconnectDelay Longest wait in seconds between attempts to reach the relay
+ */
+
+/**
+ * @typedef {Object} SceneConfig
+ * @property {string} theme Named look from themes.js; switching crossfades particles and atmosphere
+ * @property {string} background Background color
+ * @property {string} fogColor
+ * @property {number} fogNear
+ * @property {number} fogFar
+ * @property {number} fov Camera field of view in degrees
+ * @property {number} cameraDistance
+ * @property {number} maxPixelRatio
+ * @property {number} bloomStrength
+ * @property {number} bloomThreshold
+ * @property {number} bloomRadius
+ */
+
+/**
+ * @typedef {Object} GestureConfig
+ * @property {number} numHands (reload)
+ * @property {'GPU'|'CPU'} delegate (reload)
+ * @property {string|null} wasmPath Directory of self-hosted WASM files, null for the bundled ones (reload)
+ * @property {string|null} modelAssetPath null for the copy in public/models (reload)
+ * @property {string|null} modelFallbackPath (reload)
+ * @property {number} inferenceFps Hand model runs per second, 0 for every video frame
+ * @property {boolean} worker Run the hand model in a Web Worker, off the render thread (reload)
+ * @property {boolean} interpolate Ease pointer, move and two-hand events between model runs
+ * @property {number} enterFrames Consistent frames needed to start a gesture
+ * @property {number} exitFrames Frames without a pose needed to end one
+ * @property {{ fistEnter: number, fistExit: number, openEnter: number, openExit: number,
+ *   pinchEnter: number, pinchExit: number, fingerExtended: number }} thresholds
+ *   Palm-length normalized pose thresholds
+ * @property {{ swipeDistance: number, swipeVelocity: number, swipeWindow: number,
+ *   circleWindow: number, circleMinRadius: number, cooldown: number }} motion
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {TreeConfig} tree
+ * @property {MeteorConfig} meteors
+ * @property {SnowConfig} snow
+ * @property {DecorationConfig} decorations
+ * @property {DrawingConfig} drawing
+ * @property {AudioConfig} audio
+ * @property {CaptureConfig} capture
+ * @property {CameraConfig} camera
+ * @property {HudConfig} hud
+ * @property {QualityConfig} quality
+ * @property {RemoteConfig} remote
+ * @property {SceneConfig} scene
+ * @property {GestureConfig} gestures
+ */
+
+/** @type {Config} */
+export const defaultConfig = {
+    tree: {
+        count: 20000,
+        simulation: 'auto',
+        trunkRatio: 0.25,
+        rootRatio: 0.10,
+        morphSpeed: 0.06,
+        transitions: {
+            // Grow bottom-up from the roots
+            form: { duration: 1.6, easing: 'easeInOutCubic', path: 'direct', stagger: 'bottomUp', staggerAmount: 0.4 },
+            // Explode outward from the trunk
+            disperse: { target: 'sphere', duration: 1.2, easing: 'easeOutCubic', path: 'direct', stagger: 'outward', staggerAmount: 0.3 }
+        },
+        forceDamping: 0.9,
+        springBack: 0.94,
+        wind: 0,
+        aurora: true,
+        auroraCount: 1500,
+        auroraIntensity: 1,
+        auroraSpeed: 1
+    },
+    meteors: {
+        maxCount: 1000,
+        count: 100,
+        spawnRate: 40,
+        direction: 192, // Right to left, slightly down
+        spread: 8,
+        speed: 0.45,
+        trailLength: 3,
+        trailWidth: 0.08,
+        burstCount: 60
+    },
+    snow: {
+        enabled: true,
+        maxCount: 6000,
+        intensity: 0.4,
+        rate: 150,
+        fallSpeed: 0.03,
+        windX: 0,
+        windZ: 0,
+        groundY: -3.6, // Just under the tree's roots
+        meltTime: 8,
+        treeSettle: 0.3,
+        size: 1
+    },
+    decorations: {
+        enabled: true,
+        maxCount: 600,
+        lights: 150,
+        lightTurns: 5,
+        lightPattern: 'mixed',
+        lightsOn: true,
+        blinkSpeed: 1,
+        baubles: 40,
+        star: true,
+        baubleSize: 6,
+        lightSize: 3.5,
+        starSize: 22
+    },
+    drawing: {
+        enabled: false,
+        smoothing: 0.5,
+        spacing: 0.06,
+        thickness: 0.2,
+        size: 5,
+        maxPoints: 5000
+    },
+    audio: {
+        sensitivity: 1.5,
+        smoothing: 0.8,
+        sizePulse: 0.6,
+        bloomBoost: 1.5,
+        shimmer: 0.5,
+        beatThreshold: 1.4,
+        beatCooldown: 250,
+        beatBurst: 12,
+        effects: true,
+        effectsVolume: 0.4
+    },
+    camera: {
+        rotationDamping: 0.96,
+        rotationSensitivity: 0.1,
+        damping: 0.08,
+        pitchSensitivity: 1.2,
+        minPitch: -0.3,
+        maxPitch: 0.9,
+        minZoom: 0.5,
+        maxZoom: 2.5,
+        handZoom: true,
+        handZoomReference: 0.15,
+        attract: true,
+        idleTimeout: 30,
+        attractSpeed: 1
+    },
+    hud: {
+        landmarks: true,
+        cursor: true,
+        cursorSize: 0.6,
+        hints: true
+    },
+    capture: {
+        width: 3840,
+        height: 2160,
+        fps: 30,
+        videoBitrate: 8000000,
+        webcam: true,
+        pipSize: 0.25
+    },
+    quality: {
+        adaptive: true,
+        targetFps: 55,
+        level: 'ultra',
+        upgradeDelay: 10,
+        stats: false
+    },
+    remote: {
+        syncRate: 10,
+        correction: 0.3,
+        reconnectDelay: 10
+    },
+    scene: {
+        theme: 'blossom',
+        background: '#0a1a2a', // Midnight Blue
+        fogColor: '#0a1a2a',
+        fogNear: 20,
+        fogFar: 50,
+        fov: 75,
+        cameraDistance: 10,
+        maxPixelRatio: 2,
+        bloomStrength: 1.2,
+        bloomThreshold: 0.6,
+        bloomRadius: 0.5
+    },
+    gestures: {
+        numHands: 2,
+        delegate: 'GPU',
+        wasmPath: null,
+        modelAssetPath: null,
+        modelFallbackPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+        inferenceFps: 0,
+        worker: true,
+        interpolate: true,
+        enterFrames: 4,
+        exitFrames: 6,
+        thresholds: {
+            fistEnter: 1.2,
+            fistExit: 1.4,
+            openEnter: 1.7,
+            openExit: 1.5,
+            pinchEnter: 0.25,
+            pinchExit: 0.35,
+            fingerExtended: 1.15
+        },
+        motion: {
+            swipeDistance: 0.2,
+            swipeVelocity: 1.2,
+            swipeWindow: 250,
+            circleWindow: 1500,
+            circleMinRadius: 0.04,
+            cooldown: 600
+        }
+    }
+};
+
+// [min, max, step] for numeric values: used to clamp loaded values and by the debug panel
+export const configRanges = {
+    'tree.count': [1000, 500000, 1000],
+    'tree.trunkRatio': [0, 1, 0.01],
+    'tree.rootRatio': [0, 1, 0.01],
+    'tree.morphSpeed': [0.005, 0.5, 0.005],
+    'tree.transitions.form.duration': [0, 10, 0.1],
+    'tree.transitions.form.staggerAmount': [0, 0.9, 0.05],
+    'tree.transitions.disperse.duration': [0, 10, 0.1],
+    'tree.transitions.disperse.staggerAmount': [0, 0.9, 0.05],
+    'tree.forceDamping': [0.5, 1, 0.01],
+    'tree.springBack': [0.5, 1, 0.01],
+    'tree.wind': [0, 0.5, 0.01],
+    'tree.auroraCount': [0, 10000, 100],
+    'tree.auroraIntensity': [0, 2, 0.05],
+    'tree.auroraSpeed': [0, 5, 0.1],
+    'meteors.maxCount': [0, 5000, 100],
+    'meteors.count': [0, 1000, 1],
+    'meteors.spawnRate': [0, 200, 1],
+    'meteors.direction': [0, 360, 1],
+    'meteors.spread': [0, 90, 1],
+    'meteors.speed': [0.05, 2, 0.05],
+    'meteors.trailLength': [0.5, 15, 0.5],
+    'meteors.trailWidth': [0.01, 0.5, 0.01],
+    'meteors.burstCount': [0, 500, 10],
+    'snow.maxCount': [0, 50000, 500],
+    'snow.intensity': [0, 1, 0.01],
+    'snow.rate': [0, 1000, 10],
+    'snow.fallSpeed': [0.005, 0.2, 0.005],
+    'snow.windX': [-0.2, 0.2, 0.005],
+    'snow.windZ': [-0.2, 0.2, 0.005],
+    'snow.groundY': [-10, 0, 0.1],
+    'snow.meltTime': [0.5, 60, 0.5],
+    'snow.treeSettle': [0, 1, 0.01],
+    'snow.size': [0.1, 4, 0.1],
+    'decorations.maxCount': [0, 5000, 50],
+    'decorations.lights': [0, 1000, 1],
+    'decorations.lightTurns': [0, 20, 0.5],
+    'decorations.blinkSpeed': [0, 5, 0.1],
+    'decorations.baubles': [0, 500, 1],
+    'decorations.baubleSize': [1, 30, 0.5],
+    'decorations.lightSize': [1, 20, 0.5],
+    'decorations.starSize': [1, 60, 1],
+    'drawing.smoothing': [0, 0.95, 0.05],
+    'drawing.spacing': [0.01, 0.5, 0.01],
+    'drawing.thickness': [0, 1, 0.01],
+    'drawing.size': [1, 20, 0.5],
+    'drawing.maxPoints': [100, 50000, 100],
+    'audio.sensitivity': [0, 5, 0.1],
+    'audio.smoothing': [0, 0.99, 0.01],
+    'audio.sizePulse': [0, 3, 0.05],
+    'audio.bloomBoost': [0, 3, 0.05],
+    'audio.shimmer': [0, 2, 0.05],
+    'audio.beatThreshold': [1, 3, 0.05],
+    'audio.beatCooldown': [50, 1000, 10],
+    'audio.beatBurst': [0, 100, 1],
+    'audio.effectsVolume': [0, 1, 0.01],
+    'camera.rotationDamping': [0.5, 1, 0.005],
+    'camera.rotationSensitivity': [0, 0.5, 0.01],
+    'camera.damping': [0.01, 1, 0.01],
+    'camera.pitchSensitivity': [0, 3, 0.05],
+    'camera.minPitch': [-1.5, 0, 0.05],
+    'camera.maxPitch': [0, 1.5, 0.05],
+    'camera.minZoom': [0.2, 1, 0.05],
+    'camera.maxZoom': [1, 5, 0.05],
+    'camera.handZoomReference': [0.05, 0.4, 0.01],
+    'camera.idleTimeout': [5, 300, 1],
+    'camera.attractSpeed': [0.1, 5, 0.1],
+    'hud.cursorSize': [0.1, 3, 0.05],
+    'capture.width': [256, 8192, 1],
+    'capture.height': [256, 8192, 1],
+    'capture.fps': [10, 60, 1],
+    'capture.videoBitrate': [1000000, 40000000, 500000],
+    'capture.pipSize': [0.1, 0.5, 0.01],
+    'quality.targetFps': [20, 144, 1],
+    'quality.upgradeDelay': [2, 120, 1],
+    'remote.syncRate': [1, 30, 1],
+    'remote.correction': [0.05, 1, 0.05],
+    'remote.reconnectDelay': [1, 60, 1],
+    'scene.fogNear': [0, 100, 1],
+    'scene.fogFar': [0, 200, 1],
+    'scene.fov': [20, 120, 1],
+    'scene.cameraDistance': [2, 40, 0.5],
+    'scene.maxPixelRatio': [0.5, 3, 0.25],
+    'scene.bloomStrength': [0, 3, 0.05],
+    'scene.bloomThreshold': [0, 1, 0.01],
+    'scene.bloomRadius': [0, 1, 0.01],
+    'gestures.numHands': [1, 2, 1],
+    'gestures.inferenceFps': [0, 60, 1],
+    'gestures.enterFrames': [1, 30, 1],
+    'gestures.exitFrames': [1, 30, 1],
+    'gestures.thresholds.fistEnter': [0.5, 2, 0.05],
+    'gestures.thresholds.fistExit': [0.5, 2, 0.05],
+    'gestures.thresholds.openEnter': [1, 3, 0.05],
+    'gestures.thresholds.openExit': [1, 3, 0.05],
+    'gestures.thresholds.pinchEnter': [0.05, 1, 0.01],
+    'gestures.thresholds.pinchExit': [0.05, 1, 0.01],
+    'gestures.thresholds.fingerExtended': [1, 2, 0.01],
+    'gestures.motion.swipeDistance': [0.05, 1, 0.01],
+    'gestures.motion.swipeVelocity': [0.1, 5, 0.1],
+    'gestures.motion.swipeWindow': [50, 1000, 10],
+    'gestures.motion.circleWindow': [300, 5000, 50],
+    'gestures.motion.circleMinRadius': [0.01, 0.3, 0.01],
+    'gestures.motion.cooldown': [0, 3000, 50]
+};
+
+export const configOptions = {
+    'tree.simulation': ['auto', 'gpu', 'cpu'],
+    'tree.transitions.form.easing': EASING_NAMES,
+    'tree.transitions.form.path': PATHS,
+    'tree.transitions.form.stagger': STAGGERS,
+    'tree.transitions.disperse.target': Object.keys(DISPERSE_TARGETS),
+    'tree.transitions.disperse.easing': EASING_NAMES,
+    'tree.transitions.disperse.path': PATHS,
+    'tree.transitions.disperse.stagger': STAGGERS,
+    'quality.level': QUALITY_LEVELS.map(level => level.name),
+    'scene.theme': themeNames,
+    'decorations.lightPattern': ['mixed', 'steady', 'blink', 'twinkle', 'chase'],
+    'gestures.delegate': ['GPU', 'CPU']
+};
+
+// Only read at startup; changing them live needs a reload
+export const reloadOnly = [
+    'tree.count',
+    'tree.simulation',
+    'meteors.maxCount',
+    'snow.maxCount',
+    'decorations.maxCount',
+    'drawing.maxPoints',
+    'hud.hints',
+    'tree.auroraCount',
+    'gestures.numHands',
+    'gestures.delegate',
+    'gestures.worker',
+    'gestures.wasmPath',
+    'gestures.modelAssetPath',
+    'gestures.modelFallbackPath'
+];
+
+/** @returns {Config} A fresh deep copy of the defaults */
+export function createConfig() {
+    return structuredClone(defaultConfig);
+}
+
+// Sets `path` (e.g. 'scene.bloomStrength') on config, coercing to the default's type.
+// Unknown paths are ignored with a warning so a stale preset can't break startup.
+export function setConfigValue(config, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let section = config;
+    let defaults = defaultConfig;
+    for (const key of keys) {
+        section = section ? section[key] : undefined;
+        defaults = defaults ? defaults[key] : undefined;
+    }
+
+    if (!isSection(section) || !isSection(defaults) || !(last in defaults) || isSection(defaults[last])) {
+        console.warn(`Unknown config option "${path}"`);
+        return;
+    }
+
+    const expected = defaults[last];
+    let parsed = value;
+    if (typeof expected === 'number') {
+        parsed = Number(value);
+        if (!Number.isFinite(parsed)) {
+            console.warn(`Config option "${path}" expects a number, got "${value}"`);
+            return;
+        }
+        const range = configRanges[path];
+        if (range) parsed = Math.min(Math.max(parsed, range[0]), range[1]);
+    } else if (typeof expected === 'boolean') {
+        parsed = value === true || value === 'true' || value === '1';
+    } else if (value === 'null') {
+        parsed = null;
+    }
+
+    const options = configOptions[path];
+    if (options && !options.includes(parsed)) {
+        console.warn(`Config option "${path}" must be one of ${options.join(', ')}`);
+        return;
+    }
+
+    section[last] = parsed;
+}
+
+// Deep-merges a (partial) preset object into config
+export function applyPreset(config, preset, prefix = '') {
+    Object.entries(preset).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isSection(value)) {
+            applyPreset(config, value, path);
+        } else {
+            setConfigValue(config, path, value);
+        }
+    });
+    return config;
+}
+
+// Defaults, then a JSON preset from ?config=<url>, then individual ?tree.count=... overrides
+export async function loadConfig(search = window.location.search) {
+    const config = createConfig();
+    const params = new URLSearchParams(search);
+
+    const presetUrl = params.get('config');
+    if (presetUrl) {
+        try {
+            const response = await fetch(presetUrl);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            applyPreset(config, await response.json());
+        } catch (error) {
+            console.warn(`Failed to load config preset ${presetUrl}:`, error);
+        }
+    }
+
+    params.forEach((value, key) => {
+        if (key.includes('.')) setConfigValue(config, key, value);
+    });
+
+    return config;
+}
+
+export function exportPreset(config) {
+    return JSON.stringify(config, null, 2);
+}
+
+// Flat { 'scene.bloomStrength': 2 } map of everything that differs from the defaults,
+// the same form loadConfig() accepts as query params
+export function diffConfig(config, defaults = defaultConfig, prefix = '') {
+    const changes = {};
+    Object.entries(config).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isSection(value)) {
+            Object.assign(changes, diffConfig(value, defaults[key] || {}, path));
+        } else if (value !== defaults[key]) {
+            changes[path] = value;
+        }
+    });
+    return changes;
+}
+
+function isSection(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
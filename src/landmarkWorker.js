@@ -0,0 +1,66 @@
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+
+// Module workers can't importScripts() the classic WASM loader, so the worker uses the
+// ES module build of the runtime (bundled the same way as the main thread's copy)
+import wasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_module_internal.js?url';
+import wasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_module_internal.wasm?url';
+
+// Runs the hand landmark model off the main thread so inference never stalls rendering.
+// GestureController posts one camera frame at a time and gets the raw landmarks back;
+// everything gesture related stays on its side.
+//   in:  { type: 'init', model, delegate, numHands, wasmPath }
+//        { type: 'detect', frame, time }  (frame: a transferred VideoFrame or ImageBitmap)
+//   out: { type: 'ready', delegate } | { type: 'result', time, landmarks, handedness, duration }
+//        | { type: 'error', message, time? }
+
+let landmarker = null;
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'init') {
+        try {
+            const vision = await loadFileset(data.wasmPath);
+            const created = await createLandmarker(vision, data);
+            landmarker = created.landmarker;
+            self.postMessage({ type: 'ready', delegate: created.delegate });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+    } else if (data.type === 'detect') {
+        detect(data.frame, data.time);
+    }
+};
+
+async function loadFileset(wasmPath) {
+    if (wasmPath) return FilesetResolver.forVisionTasks(wasmPath, true);
+    return {
+        wasmLoaderPath: new URL(wasmLoaderUrl, self.location.href).href,
+        wasmBinaryPath: new URL(wasmBinaryUrl, self.location.href).href
+    };
+}
+
+async function createLandmarker(vision, { model, delegate, numHands }) {
+    try {
+        const created = await HandLandmarker.createFromOptions(vision, {
+            baseOptions: { modelAssetBuffer: model, delegate },
+            runningMode: 'VIDEO',
+            numHands
+        });
+        return { landmarker: created, delegate };
+    } catch (error) {
+        if (delegate !== 'GPU') throw error;
+        console.warn('GPU delegate failed in the worker, falling back to CPU:', error);
+        return createLandmarker(vision, { model, delegate: 'CPU', numHands });
+    }
+}
+
+function detect(frame, time) {
+    const start = performance.now();
+    try {
+        const { landmarks, handedness } = landmarker.detectForVideo(frame, time);
+        self.postMessage({ type: 'result', time, landmarks, handedness, duration: performance.now() - start });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error), time });
+    } finally {
+        frame.close();
+    }
+}
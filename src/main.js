@@ -1,31 +1,34 @@
 import './style.css'
-import { SceneManager } from './SceneManager.js'
-import { GestureController } from './GestureController.js'
+import { createTreeExperience } from './TreeExperience.js'
+import { loadConfig } from './config.js'
+import { decodeSceneState } from './sceneState.js'
 
+// The standalone page: one experience filling the window, set up from the URL
 document.addEventListener('DOMContentLoaded', async () => {
-  const canvas = document.getElementById('canvas')
-  const video = document.getElementById('webcam')
-  const loading = document.getElementById('loading')
+  // Defaults, overridden by ?config=preset.json and ?scene.bloomStrength=... style params
+  const config = await loadConfig()
+  const params = new URLSearchParams(window.location.search)
 
-  // Initialize Scene
-  const sceneManager = new SceneManager(canvas)
-
-  // Initialize Gesture Control
-  const gestureController = new GestureController(video)
-
-  try {
-    await gestureController.initialize()
-    loading.style.display = 'none'
-
-    // Connect Gesture to Scene
-    gestureController.on('fist', () => sceneManager.tree.form())
-    gestureController.on('open', () => sceneManager.tree.disperse())
-    gestureController.on('move', (x) => sceneManager.tree.rotate(x))
-
-    // Start loop
-    sceneManager.animate()
-  } catch (error) {
-    console.error('Failed to initialize:', error)
-    loading.textContent = 'Error loading AI Model'
-  }
+  createTreeExperience(document.getElementById('app'), {
+    config,
+    // ?state=... from the Share button reproduces someone's view
+    state: params.has('state') ? decodeSceneState(params.get('state')) : null,
+    // ?seed=42 makes particles, shapes and effects come out the same on every load
+    seed: params.has('seed') ? Number(params.get('seed')) || params.get('seed') : null,
+    // ?camera=off runs on mouse, touch and keyboard only
+    camera: params.get('camera') !== 'off',
+    // ?replay=/recordings/fist.json plays a landmark recording instead of the camera
+    replay: params.get('replay'),
+    loop: params.has('loop'),
+    // Live tuning panel: ?debug shows it, the ` key toggles it
+    debug: params.has('debug'),
+    // ?relay joins the relay on this host (or ?relay=ws://host:8787); &room=lobby&role=controller
+    relay: params.has('relay') ? {
+      url: params.get('relay') || `ws://${window.location.hostname}:8787`,
+      room: params.get('room') || 'default',
+      role: params.get('role') || 'display'
+    } : null,
+    // The whole page is the experience, so shortcuts work without focusing it first
+    keyboardTarget: window
+  })
 })
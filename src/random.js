@@ -0,0 +1,27 @@
+// Seedable replacement for Math.random() for everything that shapes the picture
+// (particles, shapes, transitions, palettes, meteors, snow, ornaments), so a run can be
+// reproduced with ?seed=42. Each SceneManager owns one generator and hands it to the
+// parts it creates, so two scenes on a page never draw from each other's sequence.
+
+// Returns a random() function; numbers are used as they are, strings are hashed.
+// Unseeded it starts from a random seed, as before.
+export function createRandom(seed = Math.floor(Math.random() * 0x100000000)) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+    // mulberry32: fast, 32 bits of state, plenty for visuals
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
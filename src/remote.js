@@ -0,0 +1,43 @@
+import { InputController } from './InputController.js'
+import { PointerController } from './PointerController.js'
+import { RemoteConnection } from './RemoteConnection.js'
+
+// The phone controller: a touchpad and a few buttons sending the same events as the
+// mouse and gestures to every display in the room, through the relay.
+//   remote.html?relay=ws://192.168.1.20:8787&room=lobby  (defaults: this host, room "default")
+const params = new URLSearchParams(window.location.search)
+const status = document.getElementById('status')
+
+const remote = new RemoteConnection(params.get('relay') || `ws://${window.location.hostname}:8787`, {
+  room: params.get('room') || 'default',
+  role: 'controller'
+})
+
+const showStatus = (text, connected) => {
+  status.textContent = text
+  status.classList.toggle('connected', connected)
+}
+remote.on('close', () => showStatus('Relay unreachable, retrying...', false))
+remote.on('peers', ({ displays }) => {
+  showStatus(displays ? `Connected to ${displays} ${displays === 1 ? 'screen' : 'screens'}` : 'Waiting for a screen...', displays > 0)
+})
+
+// Drag, hold, tap and pinch on the pad work like the mouse on the display
+const touchpad = new PointerController(document.getElementById('touchpad'))
+touchpad.initialize()
+remote.forward(touchpad)
+
+// Buttons for the poses and swipes that are awkward to do by touch
+const buttons = new InputController()
+remote.forward(buttons)
+document.querySelectorAll('[data-gesture]').forEach(button => {
+  const gesture = button.dataset.gesture
+  button.addEventListener('click', () => {
+    buttons.emitGesture(gesture)
+    buttons.emit('gestureend', { gesture, confidence: 1, handedness: 'Right' })
+  })
+})
+document.querySelectorAll('[data-swipe]').forEach(button => {
+  const type = button.dataset.swipe
+  button.addEventListener('click', () => buttons.emit(type, { type, handedness: 'Right' }))
+})
@@ -0,0 +1,77 @@
+import { applyPreset, diffConfig } from './config.js';
+
+// A snapshot of what's on screen (shape, camera, theme and every tweaked config value)
+// small enough to travel in a URL, so a booth guest can reopen exactly their view.
+// The theme rides along in config.scene.theme.
+
+const VERSION = 1;
+
+export function getSceneState(sceneManager) {
+    const tree = sceneManager.tree;
+    const rig = sceneManager.cameraRig;
+    return {
+        version: VERSION,
+        shape: tree.shapeName,
+        dispersed: tree.state === 'dispersed' ? tree.disperseTarget : null,
+        camera: {
+            zoom: rig.zoomTarget,
+            yaw: rig.yaw,
+            pitch: rig.pitchTarget,
+            tilt: rig.rollTarget
+        },
+        config: diffConfig(sceneManager.config)
+    };
+}
+
+// Config values must be in place before the SceneManager is built (some are read only
+// at startup), so this half runs on the config alone
+export function applyStateConfig(config, state) {
+    return applyPreset(config, state.config || {});
+}
+
+// Jumps straight to the saved shape and camera, no transition
+export function applySceneState(sceneManager, state) {
+    const tree = sceneManager.tree;
+    if (state.dispersed) {
+        tree.disperse({ target: state.dispersed, duration: 0 });
+    } else if (state.shape) {
+        tree.form(state.shape, { duration: 0 });
+    }
+
+    const rig = sceneManager.cameraRig;
+    const camera = state.camera || {};
+    if (camera.zoom !== undefined) rig.setZoom(camera.zoom);
+    if (camera.yaw !== undefined) rig.yaw = camera.yaw;
+    if (camera.pitch !== undefined) rig.setPitch(camera.pitch);
+    if (camera.tilt !== undefined) rig.tilt(camera.tilt);
+    rig.snap();
+}
+
+// base64url of the JSON, safe in a query param
+export function encodeSceneState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns null (with a warning) for anything that isn't a state this version understands
+export function decodeSceneState(encoded) {
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        if (state.version !== VERSION) throw new Error(`unsupported version ${state.version}`);
+        return state;
+    } catch (error) {
+        console.warn('Ignoring invalid shared scene state:', error);
+        return null;
+    }
+}
+
+// Link that reopens the current view: ?state=... on top of the current page
+export function sceneStateUrl(sceneManager, base = window.location.href) {
+    const url = new URL(base);
+    url.search = '';
+    url.searchParams.set('state', encodeSceneState(getSceneState(sceneManager)));
+    return url.toString();
+}
@@ -0,0 +1,181 @@
+// Named looks for the particles, meteors, aurora, ornaments and the scene around them.
+// Each particle type has a weighted palette; an entry is either { hsl: [h, s, l] }
+// with optional lightness jitter or a fixed { color }. Types without a palette
+// (custom shape surfaces) use the leaves palette.
+
+const blossom = {
+    particles: {
+        trunk: [
+            { weight: 0.03, hsl: [0.08, 0.7, 0.6], size: 2.5, opacity: 0.9 }, // Golden highlights
+            { weight: 0.97, hsl: [0.06, 0.4, 0.15], lightJitter: 0.25, size: 0.8, sizeJitter: 0.5, opacity: 0.9 } // Dark to medium brown
+        ],
+        root: [
+            { weight: 1, hsl: [0.08, 0.3, 0.35], lightJitter: 0.15, size: 0.7, opacity: 0.7 } // Lighter brown/grey roots
+        ],
+        leaves: [
+            { weight: 0.15, color: '#ffffff', size: 2.0, opacity: 1.0 }, // Pure white sparkles
+            { weight: 0.20, hsl: [0.89, 1.0, 0.85], size: 1.5, sizeJitter: 0.5, opacity: 0.95 }, // Light pink
+            { weight: 0.30, hsl: [0.86, 0.9, 0.75], size: 1.3, sizeJitter: 0.5, opacity: 0.9 }, // Medium pink
+            { weight: 0.35, hsl: [0.81, 0.8, 0.70], size: 1.2, sizeJitter: 1.0, opacity: 0.85 } // Deep purple
+        ]
+    },
+    meteors: ['#ffffff', '#add8e6'], // Magical comet colors - white and light blue
+    aurora: ['#00ffaa', '#aa00ff'],
+    ornaments: { baubles: ['#ff8fd8', '#ffffff', '#c78bff', '#ffd6f2'], lights: ['#fff3c4', '#ffd1f0'], star: '#fff1a8' },
+    scene: {
+        background: '#0a1a2a', // Midnight Blue
+        fogColor: '#0a1a2a',
+        bloomStrength: 1.2,
+        bloomThreshold: 0.6,
+        bloomRadius: 0.5
+    }
+};
+
+const classic = {
+    particles: {
+        trunk: [
+            { weight: 1, hsl: [0.07, 0.5, 0.12], lightJitter: 0.15, size: 0.8, sizeJitter: 0.4, opacity: 0.9 }
+        ],
+        root: [
+            { weight: 1, hsl: [0.07, 0.35, 0.25], lightJitter: 0.1, size: 0.7, opacity: 0.7 }
+        ],
+        leaves: [
+            { weight: 0.55, hsl: [0.36, 0.8, 0.22], lightJitter: 0.12, size: 1.2, sizeJitter: 0.6, opacity: 0.9 }, // Pine green
+            { weight: 0.18, hsl: [0.30, 0.7, 0.45], size: 1.3, sizeJitter: 0.4, opacity: 0.9 }, // Light green tips
+            { weight: 0.14, hsl: [0.0, 0.9, 0.5], size: 2.0, opacity: 1.0 }, // Red baubles
+            { weight: 0.13, hsl: [0.12, 0.9, 0.6], size: 2.2, opacity: 1.0 } // Gold lights
+        ]
+    },
+    meteors: ['#fff4d6', '#ffd27f'],
+    aurora: ['#1aff6e', '#ff3344'],
+    ornaments: { baubles: ['#e0002a', '#ffd24a', '#1f6fff', '#ffffff'], lights: ['#ffe29a', '#ff5a5a', '#6aff8a', '#5ab0ff'], star: '#ffd700' },
+    scene: {
+        background: '#06130c',
+        fogColor: '#06130c',
+        bloomStrength: 1.0,
+        bloomThreshold: 0.6,
+        bloomRadius: 0.5
+    }
+};
+
+const snowy = {
+    particles: {
+        trunk: [
+            { weight: 1, hsl: [0.6, 0.1, 0.35], lightJitter: 0.2, size: 0.8, sizeJitter: 0.4, opacity: 0.85 }
+        ],
+        root: [
+            { weight: 1, hsl: [0.6, 0.1, 0.5], lightJitter: 0.1, size: 0.7, opacity: 0.6 }
+        ],
+        leaves: [
+            { weight: 0.45, color: '#ffffff', size: 1.6, sizeJitter: 0.6, opacity: 0.95 },
+            { weight: 0.35, hsl: [0.56, 0.6, 0.85], size: 1.3, sizeJitter: 0.5, opacity: 0.9 }, // Ice blue
+            { weight: 0.20, hsl: [0.6, 0.3, 0.7], size: 1.1, sizeJitter: 0.5, opacity: 0.8 } // Frosted grey
+        ]
+    },
+    meteors: ['#ffffff', '#dff3ff'],
+    aurora: ['#7fe8ff', '#c9b6ff'],
+    ornaments: { baubles: ['#ffffff', '#bfe9ff', '#9fb8d9'], lights: ['#e8f7ff'], star: '#ffffff' },
+    scene: {
+        background: '#101a26',
+        fogColor: '#101a26',
+        bloomStrength: 0.9,
+        bloomThreshold: 0.65,
+        bloomRadius: 0.6
+    }
+};
+
+const neon = {
+    particles: {
+        trunk: [
+            { weight: 1, hsl: [0.75, 1.0, 0.35], lightJitter: 0.2, size: 0.9, sizeJitter: 0.4, opacity: 0.9 }
+        ],
+        root: [
+            { weight: 1, hsl: [0.7, 1.0, 0.4], size: 0.7, opacity: 0.7 }
+        ],
+        leaves: [
+            { weight: 0.35, hsl: [0.92, 1.0, 0.6], size: 1.4, sizeJitter: 0.6, opacity: 0.95 }, // Magenta
+            { weight: 0.35, hsl: [0.5, 1.0, 0.55], size: 1.4, sizeJitter: 0.6, opacity: 0.95 }, // Cyan
+            { weight: 0.20, hsl: [0.25, 1.0, 0.55], size: 1.3, sizeJitter: 0.5, opacity: 0.9 }, // Lime
+            { weight: 0.10, color: '#ffffff', size: 2.0, opacity: 1.0 }
+        ]
+    },
+    meteors: ['#ff3cf0', '#3cf6ff'],
+    aurora: ['#ff00cc', '#00ffee'],
+    ornaments: { baubles: ['#ff00cc', '#00ffee', '#b6ff00'], lights: ['#ff3cf0', '#3cf6ff', '#faff3c'], star: '#ffffff' },
+    scene: {
+        background: '#05010c',
+        fogColor: '#05010c',
+        bloomStrength: 1.8,
+        bloomThreshold: 0.4,
+        bloomRadius: 0.6
+    }
+};
+
+export const themes = { blossom, classic, snowy, neon };
+
+// Live list of names, also used by config.js to validate scene.theme
+export const themeNames = Object.keys(themes);
+
+export function registerTheme(name, theme) {
+    themes[name] = theme;
+    if (!themeNames.includes(name)) themeNames.push(name);
+    return theme;
+}
+
+export function getTheme(name) {
+    if (!themes[name]) {
+        console.warn(`Unknown theme "${name}", using blossom`);
+        return themes.blossom;
+    }
+    return themes[name];
+}
+
+// Builds and registers a theme from a handful of brand colors: the colors become the
+// canopy, with white sparkles and a neutral trunk so logos and shapes stay on-brand.
+export function createBrandTheme(name, colors, scene = {}) {
+    const share = 0.85 / colors.length;
+    return registerTheme(name, {
+        particles: {
+            trunk: [
+                { weight: 1, hsl: [0, 0, 0.3], lightJitter: 0.2, size: 0.8, sizeJitter: 0.4, opacity: 0.85 }
+            ],
+            root: [
+                { weight: 1, hsl: [0, 0, 0.4], lightJitter: 0.1, size: 0.7, opacity: 0.6 }
+            ],
+            leaves: [
+                ...colors.map(color => ({ weight: share, color, size: 1.3, sizeJitter: 0.6, opacity: 0.92 })),
+                { weight: 0.15, color: '#ffffff', size: 2.0, opacity: 1.0 }
+            ]
+        },
+        meteors: ['#ffffff', colors[0]],
+        aurora: [colors[0], colors[1] || '#ffffff'],
+        ornaments: { baubles: colors, lights: ['#ffffff', colors[0]], star: colors[0] },
+        scene: { ...blossom.scene, ...scene }
+    });
+}
+
+// Picks a palette entry by weight and writes its color into `color`; returns { size, opacity }.
+// `random` is the scene's generator (see random.js).
+export function samplePalette(palette, color, random) {
+    let pick = random();
+    let entry = palette[palette.length - 1];
+    for (const candidate of palette) {
+        pick -= candidate.weight;
+        if (pick <= 0) {
+            entry = candidate;
+            break;
+        }
+    }
+
+    if (entry.color) {
+        color.set(entry.color);
+    } else {
+        const [h, s, l] = entry.hsl;
+        color.setHSL(h, s, l + random() * (entry.lightJitter || 0));
+    }
+
+    return {
+        size: entry.size + random() * (entry.sizeJitter || 0),
+        opacity: entry.opacity
+    };
+}
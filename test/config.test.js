@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+    applyPreset,
+    configOptions,
+    configRanges,
+    createConfig,
+    defaultConfig,
+    diffConfig,
+    loadConfig,
+    reloadOnly,
+    setConfigValue
+} from '../src/config.js';
+
+// Query strings, presets and shared links all come from outside, so they go through
+// setConfigValue(); the debug panel and the share button rely on diffConfig() and
+// loadConfig() agreeing with each other.
+
+function valueAt(config, path) {
+    return path.split('.').reduce((section, key) => (section ? section[key] : undefined), config);
+}
+
+describe('config', () => {
+    let warn;
+    beforeEach(() => {
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    it('clamps numbers to configRanges and coerces strings from the query', () => {
+        const config = createConfig();
+        setConfigValue(config, 'scene.bloomStrength', '99');
+        expect(config.scene.bloomStrength).toBe(configRanges['scene.bloomStrength'][1]);
+        setConfigValue(config, 'scene.bloomStrength', -5);
+        expect(config.scene.bloomStrength).toBe(configRanges['scene.bloomStrength'][0]);
+        setConfigValue(config, 'gestures.enterFrames', '4');
+        expect(config.gestures.enterFrames).toBe(4);
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('keeps the old value when a number or an option is not valid', () => {
+        const config = createConfig();
+        setConfigValue(config, 'scene.bloomStrength', 'bright');
+        setConfigValue(config, 'scene.bloomStrength', 'Infinity');
+        setConfigValue(config, 'scene.theme', 'no-such-theme');
+        setConfigValue(config, 'tree.simulation', 'quantum');
+        expect(config).toEqual(createConfig());
+        expect(warn).toHaveBeenCalledTimes(4);
+
+        setConfigValue(config, 'tree.simulation', 'cpu');
+        expect(config.tree.simulation).toBe('cpu');
+    });
+
+    it('parses booleans the way query strings spell them', () => {
+        const config = createConfig();
+        setConfigValue(config, 'snow.enabled', 'false');
+        expect(config.snow.enabled).toBe(false);
+        setConfigValue(config, 'snow.enabled', '1');
+        expect(config.snow.enabled).toBe(true);
+    });
+
+    it('ignores unknown keys and whole sections with a warning', () => {
+        const config = createConfig();
+        ['scene.nope', 'nope.bloomStrength', 'scene', 'tree.transitions.form', 'scene.bloomStrength.x'].forEach(path => {
+            setConfigValue(config, path, '1');
+        });
+        expect(config).toEqual(createConfig());
+        expect(warn).toHaveBeenCalledTimes(5);
+    });
+
+    it('only lists real options in configRanges, configOptions and reloadOnly', () => {
+        [...Object.keys(configRanges), ...Object.keys(configOptions), ...reloadOnly].forEach(path => {
+            const value = valueAt(defaultConfig, path);
+            expect(value, path).not.toBeUndefined();
+            expect(typeof value === 'object' && value !== null && !Array.isArray(value), path).toBe(false);
+        });
+        Object.entries(configOptions).forEach(([path, options]) => {
+            expect(options, path).toContain(valueAt(defaultConfig, path));
+        });
+    });
+
+    it('takes reload-only keys from the query string, since they are read at startup', async () => {
+        const config = await loadConfig('?tree.count=5000&gestures.delegate=CPU&drawing.maxPoints=1');
+        expect(config.tree.count).toBe(5000);
+        expect(config.gestures.delegate).toBe('CPU');
+        expect(config.drawing.maxPoints).toBe(configRanges['drawing.maxPoints'][0]);
+    });
+
+    it('diffs to nothing for the defaults', () => {
+        expect(diffConfig(createConfig())).toEqual({});
+    });
+
+    it('round-trips a diff through loadConfig and applyPreset', async () => {
+        const config = createConfig();
+        config.scene.bloomStrength = 2.25;
+        config.scene.theme = 'neon';
+        config.snow.enabled = false;
+        config.tree.count = 40000;
+        config.tree.transitions.form.path = 'spiral';
+        config.gestures.enterFrames = 6;
+
+        const diff = diffConfig(config);
+        expect(diff).toEqual({
+            'scene.bloomStrength': 2.25,
+            'scene.theme': 'neon',
+            'snow.enabled': false,
+            'tree.count': 40000,
+            'tree.transitions.form.path': 'spiral',
+            'gestures.enterFrames': 6
+        });
+
+        const query = new URLSearchParams(Object.entries(diff).map(([key, value]) => [key, String(value)]));
+        expect(await loadConfig(`?${query}`)).toEqual(config);
+        expect(applyPreset(createConfig(), diff)).toEqual(config);
+        expect(warn).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { GestureController } from '../src/GestureController.js';
+import { INPUT_EVENTS } from '../src/InputController.js';
+
+// Replays the recordings in public/recordings/ through processFrame() (no camera or
+// model needed) and checks the gestures they are meant to show. Continuous events
+// (move, pointer) are left out; they fire on every frame.
+//
+// The top-level recordings are generated, so they only pin the classifier's current
+// answers. Recordings captured from a camera (Shift+G) go in public/recordings/captured/,
+// named after the gesture they show (fist-anna.json, swipe-right-2.json...); a real hand
+// flickers through other poses on the way, so for those the expected events only have
+// to appear in order.
+
+const EXPECTED = {
+    'fist': ['handfound', 'gesturestart:fist', 'fist', 'gestureend:fist', 'handlost'],
+    'open': ['handfound', 'gesturestart:open', 'open', 'gestureend:open', 'handlost'],
+    'swipe-right': ['handfound', 'gesturestart:open', 'open', 'swiperight', 'gestureend:open', 'handlost']
+};
+
+const CAPTURED = new URL('../public/recordings/captured/', import.meta.url);
+
+function loadRecording(name) {
+    return JSON.parse(readFileSync(new URL(`../public/recordings/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// [file, gesture] for every captured recording; longest gesture names first so swipe-right-1 isn't read as a swipe
+function capturedRecordings() {
+    if (!existsSync(CAPTURED)) return [];
+    const gestures = Object.keys(EXPECTED).sort((a, b) => b.length - a.length);
+    return readdirSync(CAPTURED)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file, gestures.find(gesture => file.startsWith(`${gesture}-`) || file === `${gesture}.json`)])
+        .filter(([, gesture]) => gesture);
+}
+
+function inOrder(events, expected) {
+    let next = 0;
+    events.forEach(event => {
+        if (event === expected[next]) next++;
+    });
+    return next === expected.length;
+}
+
+async function replayEvents(recording) {
+    const gestures = new GestureController(null);
+    const events = [];
+    INPUT_EVENTS.filter(event => event !== 'move' && event !== 'pointer').forEach(event => {
+        gestures.on(event, (data) => {
+            const transition = event === 'gesturestart' || event === 'gestureend';
+            events.push(transition ? `${event}:${data.gesture}` : event);
+        });
+    });
+    await gestures.replay(recording, { realtime: false });
+    return events;
+}
+
+describe('gesture recordings', () => {
+    Object.entries(EXPECTED).forEach(([name, expected]) => {
+        it(`classifies ${name}.json`, async () => {
+            expect(await replayEvents(loadRecording(name))).toEqual(expected);
+        });
+    });
+
+    const captured = capturedRecordings();
+    captured.forEach(([file, gesture]) => {
+        it(`finds ${gesture} in captured/${file}`, async () => {
+            const recording = JSON.parse(readFileSync(new URL(file, CAPTURED), 'utf8'));
+            const events = await replayEvents(recording);
+            expect(inOrder(events, EXPECTED[gesture]), events.join(', ')).toBe(true);
+        });
+    });
+    if (!captured.length) it.todo('replays recordings captured from a camera (none in public/recordings/captured/ yet)');
+
+    it('emits the same events on every run', async () => {
+        const recording = loadRecording('swipe-right');
+        expect(await replayEvents(recording)).toEqual(await replayEvents(recording));
+    });
+
+    it('rejects recordings of another version', async () => {
+        await expect(new GestureController(null).replay({ version: 99, frames: [] })).rejects.toThrow('Unsupported');
+    });
+});
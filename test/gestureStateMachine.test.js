@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { GestureStateMachine } from '../src/GestureStateMachine.js';
+
+// Frame-level checks of the debouncing the recordings only exercise end to end
+
+const config = { enterFrames: 3, exitFrames: 4 };
+
+// Feeds `poses` one frame apart (33 ms) and returns every transition with its frame number
+function feed(machine, poses, { score = 1, handScore = 1, start = 0 } = {}) {
+    const transitions = [];
+    poses.forEach((pose, k) => {
+        const frame = start + k;
+        machine.update(pose, score, handScore, frame * 33).forEach(transition => {
+            transitions.push({ frame, ...transition });
+        });
+    });
+    return transitions;
+}
+
+describe('GestureStateMachine', () => {
+    it('ignores a pose seen for fewer frames than enterFrames', () => {
+        const machine = new GestureStateMachine(config);
+        expect(feed(machine, ['fist', 'fist', null, 'fist', 'fist', 'open', null])).toEqual([]);
+        expect(machine.current).toBe(null);
+    });
+
+    it('starts a pose on its enterFrames-th frame in a row', () => {
+        const machine = new GestureStateMachine(config);
+        const transitions = feed(machine, [null, 'fist', 'fist', 'fist', 'fist']);
+        expect(transitions).toEqual([{ frame: 3, type: 'start', gesture: 'fist', confidence: 1 }]);
+        expect(machine.current).toBe('fist');
+    });
+
+    it('needs exitFrames without a pose to end one, and rides out shorter dropouts', () => {
+        const machine = new GestureStateMachine(config);
+        feed(machine, ['fist', 'fist', 'fist']);
+
+        expect(feed(machine, [null, null, null, 'fist', 'fist'], { start: 3 })).toEqual([]);
+        expect(machine.current).toBe('fist');
+
+        const transitions = feed(machine, [null, null, null, null], { start: 8 });
+        expect(transitions).toEqual([{ frame: 11, type: 'end', gesture: 'fist', confidence: 1, duration: (11 - 2) * 33 }]);
+        expect(machine.current).toBe(null);
+    });
+
+    it('switches straight from one pose to another after enterFrames', () => {
+        const machine = new GestureStateMachine(config);
+        feed(machine, ['fist', 'fist', 'fist']);
+        const transitions = feed(machine, ['open', 'open', 'open'], { start: 3 });
+        expect(transitions.map(({ frame, type, gesture }) => [frame, type, gesture])).toEqual([
+            [5, 'end', 'fist'],
+            [5, 'start', 'open']
+        ]);
+    });
+
+    it('rates confidence as the average pose score times the handedness score', () => {
+        const machine = new GestureStateMachine(config);
+        machine.update('open', 0.8, 0.5, 0);
+        machine.update('open', 0.9, 0.5, 33);
+        const [start] = machine.update('open', 1.0, 0.5, 66);
+        expect(start.confidence).toBeCloseTo(0.9 * 0.5, 10);
+
+        // Held, it keeps following the scores
+        machine.update('open', 0.5, 0.8, 99);
+        expect(machine.confidence).toBeCloseTo(((0.8 + 0.9 + 1.0 + 0.5) / 4) * 0.8, 10);
+    });
+
+    it('ends the held pose at once on reset()', () => {
+        const machine = new GestureStateMachine(config);
+        feed(machine, ['point', 'point', 'point']);
+        expect(machine.reset(200)).toEqual([{ type: 'end', gesture: 'point', confidence: 1, duration: 200 - 66 }]);
+        expect(machine.reset(300)).toEqual([]);
+    });
+
+    it('reads enterFrames and exitFrames live', () => {
+        const live = { enterFrames: 5, exitFrames: 5 };
+        const machine = new GestureStateMachine(live);
+        expect(feed(machine, ['fist', 'fist'])).toEqual([]);
+        live.enterFrames = 2;
+        expect(feed(machine, ['fist'], { start: 2 })).toHaveLength(1);
+    });
+});
@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { createConfig } from '../src/config.js';
+import { ParticleTree } from '../src/ParticleTree.js';
+import { ShapeLibrary } from '../src/ShapeLibrary.js';
+import { createRandom } from '../src/random.js';
+
+// Seeded runs must place every particle the same way, whatever else draws random numbers
+// in between. ParticleTree runs its CPU path here (no renderer), so no WebGL is needed.
+
+function createTree(random, count = 500) {
+    const config = createConfig().tree;
+    config.count = count;
+    config.auroraCount = 50;
+    return new ParticleTree(new THREE.Scene(), { config, random });
+}
+
+describe('seeded randomness', () => {
+    beforeAll(() => {
+        vi.stubGlobal('window', { devicePixelRatio: 1 });
+    });
+
+    it('repeats the sequence for the same seed, numbers and strings alike', () => {
+        const sequence = random => Array.from({ length: 5 }, () => random());
+        expect(sequence(createRandom(42))).toEqual(sequence(createRandom(42)));
+        expect(sequence(createRandom('tree'))).toEqual(sequence(createRandom('tree')));
+        expect(sequence(createRandom(42))).not.toEqual(sequence(createRandom(43)));
+        expect(sequence(createRandom(7)).every(value => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it('samples every built-in shape the same way for the same seed', () => {
+        const shapes = new ShapeLibrary();
+        shapes.list().forEach(name => {
+            const sample = random => Array.from({ length: 50 }, (_, i) => shapes.get(name).sample(i, 50, random));
+            expect(sample(createRandom(1))).toEqual(sample(createRandom(1)));
+        });
+    });
+
+    it('gives two trees with the same seed identical particles', () => {
+        const a = createTree(createRandom(42));
+        const b = createTree(createRandom(42));
+        expect(a.treeTargetPositions).toEqual(b.treeTargetPositions);
+        expect(a.treeTargetColors).toEqual(b.treeTargetColors);
+        expect(a.sampleOrder).toEqual(b.sampleOrder);
+        expect(createTree(createRandom(43)).treeTargetPositions).not.toEqual(a.treeTargetPositions);
+
+        a.form('star', { duration: 0 });
+        b.form('star', { duration: 0 });
+        expect(a.treeTargetPositions).toEqual(b.treeTargetPositions);
+        a.disperse({ target: 'firework', duration: 0 });
+        b.disperse({ target: 'firework', duration: 0 });
+        expect(a.treeTargetPositions).toEqual(b.treeTargetPositions);
+    });
+
+    it('keeps each tree on its own sequence when they run side by side', () => {
+        const alone = createTree(createRandom(42));
+        alone.form('spiral', { duration: 0 });
+
+        // A second scene drawing numbers in between must not shift the first one's
+        const first = createTree(createRandom(42));
+        const other = createTree(createRandom(7));
+        other.form('conifer', { duration: 0 });
+        first.form('spiral', { duration: 0 });
+        other.disperse({ duration: 0 });
+
+        expect(first.treeTargetPositions).toEqual(alone.treeTargetPositions);
+        expect(first.treeTargetSizes).toEqual(alone.treeTargetSizes);
+    });
+
+    // Pins what seed 42 looks like, so a change to the sampling, the shapes or the
+    // palettes shows up here; update the snapshot (vitest -u) when the change is intended
+    it('draws the same picture for seed 42 as before', () => {
+        const tree = createTree(createRandom(42), 200);
+        const round = value => Math.round(value * 1000) / 1000;
+        const digest = () => ({
+            first: [...tree.treeTargetPositions.slice(0, 3)].map(round),
+            sum: round(tree.treeTargetPositions.reduce((sum, value) => sum + value, 0)),
+            color: [...tree.treeTargetColors.slice(0, 3)].map(round)
+        });
+        const pictures = {};
+        tree.shapes.list().forEach(name => {
+            tree.form(name, { duration: 0 });
+            pictures[name] = digest();
+        });
+        expect(pictures).toMatchInlineSnapshot(`
+          {
+            "banyan": {
+              "color": [
+                0.873,
+                0.46,
+                0.94,
+              ],
+              "first": [
+                4.43,
+                0.595,
+                3.617,
+              ],
+              "sum": 158.208,
+            },
+            "conifer": {
+              "color": [
+                0.975,
+                0.525,
+                0.903,
+              ],
+              "first": [
+                0.965,
+                -0.777,
+                -1.394,
+              ],
+              "sum": 120.252,
+            },
+            "spiral": {
+              "color": [
+                1,
+                0.7,
+                0.898,
+              ],
+              "first": [
+                -1.092,
+                1.991,
+                -0.808,
+              ],
+              "sum": 94.239,
+            },
+            "star": {
+              "color": [
+                1,
+                0.578,
+                0.03,
+              ],
+              "first": [
+                0.464,
+                -0.449,
+                0.217,
+              ],
+              "sum": 78.927,
+            },
+          }
+        `);
+    });
+});
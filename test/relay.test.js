@@ -0,0 +1,223 @@
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createRelay } from '../server/relay.js';
+
+// Runs the relay on a free local port and talks to it over raw sockets, so the test
+// needs no WebSocket library (Node 20 has no built-in client).
+
+// Minimal WebSocket client: handshake, masked text frames out, unmasked frames in
+class TestClient {
+    static open(port, query) {
+        return new Promise((resolve, reject) => {
+            const client = new TestClient();
+            const socket = connect(port, '127.0.0.1', () => {
+                socket.write([
+                    `GET /?${query} HTTP/1.1`,
+                    `Host: 127.0.0.1:${port}`,
+                    'Upgrade: websocket',
+                    'Connection: Upgrade',
+                    `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+                    'Sec-WebSocket-Version: 13',
+                    '', ''
+                ].join('\r\n'));
+            });
+            client.socket = socket;
+            socket.on('error', reject);
+            socket.on('close', () => {
+                client.ended = true;
+                client.notify();
+            });
+            socket.on('data', chunk => {
+                client.buffer = Buffer.concat([client.buffer, chunk]);
+                if (!client.upgraded) {
+                    const end = client.buffer.indexOf('\r\n\r\n');
+                    if (end === -1) return;
+                    client.upgraded = true;
+                    client.buffer = client.buffer.subarray(end + 4);
+                    resolve(client);
+                }
+                client.parse();
+            });
+        });
+    }
+
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.upgraded = false;
+        this.ended = false;
+        this.messages = [];
+        this.closeCode = null;
+        this.waiting = [];
+    }
+
+    parse() {
+        while (this.buffer.length >= 2) {
+            const opcode = this.buffer[0] & 0x0f;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            if (this.buffer.length < offset + length) return;
+            const payload = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            if (opcode === 0x1) this.messages.push(JSON.parse(payload.toString('utf8')));
+            if (opcode === 0x8) this.closeCode = payload.readUInt16BE(0);
+            this.notify();
+        }
+    }
+
+    notify() {
+        const done = this.waiting.filter(({ check }) => check());
+        this.waiting = this.waiting.filter(wait => !done.includes(wait));
+        done.forEach(({ resolve }) => resolve());
+    }
+
+    // Resolves once `check()` holds, e.g. a message of some type arrived
+    until(check, timeout = 2000) {
+        return new Promise((resolve, reject) => {
+            if (check()) return resolve();
+            const timer = setTimeout(() => reject(new Error('timed out')), timeout);
+            this.waiting.push({ check, resolve: () => { clearTimeout(timer); resolve(); } });
+        });
+    }
+
+    received(type) {
+        return this.messages.filter(message => message.type === type);
+    }
+
+    async next(type, count = 1) {
+        await this.until(() => this.received(type).length >= count);
+        return this.received(type)[count - 1];
+    }
+
+    sendFrame(opcode, payload, { mask = true } = {}) {
+        const header = payload.length < 126
+            ? Buffer.from([0x80 | opcode, (mask ? 0x80 : 0) | payload.length])
+            : Buffer.from([0x80 | opcode, (mask ? 0x80 : 0) | 126, payload.length >> 8, payload.length & 0xff]);
+        if (!mask) {
+            this.socket.write(Buffer.concat([header, payload]));
+            return;
+        }
+        const key = randomBytes(4);
+        const masked = Buffer.from(payload.map((byte, i) => byte ^ key[i % 4]));
+        this.socket.write(Buffer.concat([header, key, masked]));
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message)));
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+describe('relay', () => {
+    let relay;
+    let port;
+    let clients;
+    const join = async (query) => {
+        const client = await TestClient.open(port, query);
+        clients.push(client);
+        await client.next('welcome');
+        return client;
+    };
+
+    beforeEach(async () => {
+        relay = createRelay({ port: 0, host: '127.0.0.1', log: () => {} });
+        port = await relay.listen();
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.close());
+        await relay.close();
+    });
+
+    it('makes the first display the leader', async () => {
+        const first = await join('room=lobby&role=display');
+        const second = await join('room=lobby&role=display');
+        expect(first.received('welcome')[0]).toMatchObject({ role: 'display', room: 'lobby', leader: true, state: null });
+        expect(second.received('welcome')[0].leader).toBe(false);
+    });
+
+    it('relays gestures from a controller to every display in the room', async () => {
+        const screenA = await join('room=lobby&role=display');
+        const screenB = await join('room=lobby&role=display');
+        const elsewhere = await join('room=hall&role=display');
+        const phone = await join('room=lobby&role=controller');
+
+        phone.send({ type: 'input', event: 'fist', args: [{ gesture: 'fist', handedness: 'Right' }] });
+        phone.send({ type: 'input', event: 'notagesture', args: [] });
+
+        for (const screen of [screenA, screenB]) {
+            const input = await screen.next('input');
+            expect(input).toMatchObject({ event: 'fist', args: [{ gesture: 'fist', handedness: 'Right' }] });
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(screenA.received('input')).toHaveLength(1);
+        expect(elsewhere.received('input')).toHaveLength(0);
+        expect(phone.received('input')).toHaveLength(0);
+    });
+
+    it('ignores messages that are JSON but not objects', async () => {
+        const screen = await join('room=lobby&role=display');
+        const phone = await join('room=lobby&role=controller');
+
+        ['null', '5', '"x"', '[]'].forEach(text => phone.sendFrame(0x1, Buffer.from(text)));
+        phone.send({ type: 'input', event: 'open', args: [{ gesture: 'open', handedness: 'Right' }] });
+        expect(await screen.next('input')).toMatchObject({ event: 'open' });
+        expect(phone.ended).toBe(false);
+    });
+
+    it('drops input whose arguments do not fit the event', async () => {
+        const screen = await join('room=lobby&role=display');
+        const phone = await join('room=lobby&role=controller');
+
+        phone.send({ type: 'input', event: 'move', args: [0.5] });
+        phone.send({ type: 'input', event: 'move', args: ['left', { handedness: 'Right' }] });
+        phone.send({ type: 'input', event: 'fist', args: [null] });
+        phone.send({ type: 'input', event: 'pointer' });
+        phone.send({ type: 'input', event: 'move', args: [0.5, { handedness: 'Right', y: 0.4 }] });
+        phone.send({ type: 'input', event: 'twohandsend' });
+
+        await screen.next('input', 2);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(screen.received('input').map(({ event, args }) => [event, args])).toEqual([
+            ['move', [0.5, { handedness: 'Right', y: 0.4 }]],
+            ['twohandsend', []]
+        ]);
+    });
+
+    it('passes on scene state from the leader only and hands it to late joiners', async () => {
+        const leader = await join('room=lobby&role=display');
+        const follower = await join('room=lobby&role=display');
+
+        follower.send({ type: 'state', state: { shape: 'conifer' } });
+        leader.send({ type: 'state', state: { shape: 'star', theme: 'neon' } });
+        expect((await follower.next('state')).state).toEqual({ shape: 'star', theme: 'neon' });
+        expect(leader.received('state')).toHaveLength(0);
+
+        const late = await join('room=lobby&role=display');
+        expect(late.received('welcome')[0].state).toEqual({ shape: 'star', theme: 'neon' });
+    });
+
+    it('promotes the next display when the leader leaves', async () => {
+        const leader = await join('room=lobby&role=display');
+        const follower = await join('room=lobby&role=display');
+        leader.close();
+        await follower.next('leader');
+        await follower.until(() => follower.received('peers').some(peers => peers.displays === 1));
+        expect(follower.received('leader')).toHaveLength(1);
+    });
+
+    it('closes with 1002 on an unmasked client frame', async () => {
+        const client = await join('room=lobby&role=display');
+        client.sendFrame(0x1, Buffer.from('{"type":"input"}'), { mask: false });
+        await client.until(() => client.ended);
+        expect(client.closeCode).toBe(1002);
+    });
+});
@@ -0,0 +1,62 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createConfig } from '../src/config.js';
+import { applyStateConfig, decodeSceneState, encodeSceneState, sceneStateUrl } from '../src/sceneState.js';
+
+// Shared links outlive the code that made them, so the encoding has to round-trip and
+// anything it can't read has to come back as null rather than half a state.
+
+const state = {
+    version: 1,
+    shape: 'star',
+    dispersed: null,
+    camera: { zoom: 1.25, yaw: -2.5, pitch: 0.3, tilt: 0 },
+    config: { 'scene.theme': 'neon', 'scene.bloomStrength': 2.25, 'snow.enabled': false }
+};
+
+describe('scene state links', () => {
+    let warn;
+    beforeEach(() => {
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    it('round-trips through base64url', () => {
+        const encoded = encodeSceneState(state);
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeSceneState(encoded)).toEqual(state);
+    });
+
+    it('keeps text outside ASCII intact', () => {
+        const named = { ...state, shape: 'Frohe Weihnachten ✨ 圣诞' };
+        expect(decodeSceneState(encodeSceneState(named))).toEqual(named);
+    });
+
+    it('rejects other versions and anything that is not a state', () => {
+        [{ ...state, version: 0 }, { ...state, version: 2 }, { shape: 'star' }, null, 5].forEach(value => {
+            expect(decodeSceneState(encodeSceneState(value))).toBe(null);
+        });
+        ['', 'not base64!', encodeSceneState(state).slice(0, 20)].forEach(text => {
+            expect(decodeSceneState(text)).toBe(null);
+        });
+        expect(warn).toHaveBeenCalledTimes(8);
+    });
+
+    it('reopens the tweaked config from a link', () => {
+        const config = createConfig();
+        config.scene.theme = 'snowy';
+        config.tree.transitions.form.easing = 'easeOutBack';
+        const sceneManager = {
+            config,
+            tree: { shapeName: 'spiral', state: 'formed', disperseTarget: null },
+            cameraRig: { zoomTarget: 1, yaw: 0.5, pitchTarget: 0, rollTarget: 0 }
+        };
+
+        const url = new URL(sceneStateUrl(sceneManager, 'https://example.com/tree/?seed=4'));
+        expect([...url.searchParams.keys()]).toEqual(['state']);
+        const decoded = decodeSceneState(url.searchParams.get('state'));
+        expect(decoded).toMatchObject({ shape: 'spiral', dispersed: null, camera: { yaw: 0.5 } });
+        expect(applyStateConfig(createConfig(), decoded)).toEqual(config);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, expect, it, vi } from 'vitest';
+import { EASINGS, EASING_NAMES, PATHS, Transition, transitionAnchor, transitionChunk } from '../src/Transitions.js';
+import { createRandom } from '../src/random.js';
+
+// transitionAnchor() is the CPU twin of the GLSL in transitionChunk; these pin the JS side
+// (easings, paths, stagger) that the shader has to keep matching.
+
+const source = new Float32Array([1, -2, 3, -4, 0.5, 2]);
+const target = new Float32Array([-3, 4, 0.5, 2, 3, -1]);
+
+// Anchor of particle i at transition time `time`
+function anchor(transition, time, i = 0, delay = 0) {
+    const out = new Float32Array(3);
+    transition.time = time;
+    transitionAnchor(out, 0, source, target, i, delay, transition);
+    return [...out];
+}
+
+function expectClose(actual, expected) {
+    actual.forEach((value, k) => expect(value).toBeCloseTo(expected[k], 5));
+}
+
+describe('easings', () => {
+    EASING_NAMES.forEach(name => {
+        it(`${name} starts at 0 and ends at 1`, () => {
+            expect(EASINGS[name](0)).toBeCloseTo(0, 10);
+            expect(EASINGS[name](1)).toBeCloseTo(1, 10);
+        });
+    });
+
+    it('has a shader branch for every easing, in the same order', () => {
+        EASING_NAMES.slice(1).forEach((_, k) => {
+            expect(transitionChunk).toContain(`if (uEasing == ${k + 1})`);
+        });
+        expect(transitionChunk).not.toContain(`uEasing == ${EASING_NAMES.length}`);
+    });
+});
+
+describe('transitionAnchor', () => {
+    PATHS.forEach(path => {
+        it(`starts at the source and lands on the target along the ${path} path`, () => {
+            const transition = new Transition({ path, easing: 'easeInOutCubic' });
+            [0, 1].forEach(i => {
+                expectClose(anchor(transition, 0, i), [...source.slice(i * 3, i * 3 + 3)]);
+                expectClose(anchor(transition, 1, i), [...target.slice(i * 3, i * 3 + 3)]);
+            });
+        });
+    });
+
+    it('moves halfway along a straight line at t=0.5 with linear easing', () => {
+        const transition = new Transition({ path: 'direct', easing: 'linear' });
+        expectClose(anchor(transition, 0.5), [-1, 1, 1.75]);
+    });
+
+    it('holds later particles back with the stagger, but lands them all', () => {
+        const transition = new Transition({ easing: 'linear', stagger: 'bottomUp', staggerAmount: 0.5 });
+        const delays = [0, 0.25, 0.5, 0.75, 1];
+        // Progress along the x axis of particle 0 (source 1, target -3)
+        const progress = (time, delay) => (1 - anchor(transition, time, 0, delay)[0]) / 4;
+
+        [0.2, 0.5, 0.8].forEach(time => {
+            const along = delays.map(delay => progress(time, delay));
+            along.slice(1).forEach((value, k) => expect(value).toBeLessThanOrEqual(along[k]));
+        });
+        delays.forEach(delay => {
+            expect(progress(0, delay)).toBeCloseTo(0, 6);
+            expect(progress(1, delay)).toBeCloseTo(1, 6);
+        });
+        // The last particle only leaves once the stagger has passed
+        expect(progress(0.5, 1)).toBeCloseTo(0, 6);
+    });
+});
+
+describe('Transition', () => {
+    const heights = new Float32Array([0, 5, 0, 0, -1, 0, 0, 2, 0]);
+
+    it('orders delays by target height, from 0 to 1', () => {
+        const delays = new Float32Array(3);
+        new Transition({ stagger: 'bottomUp' }).computeDelays(delays, heights, heights, 3, createRandom(1));
+        expect([...delays]).toEqual([1, 0, 0.5]);
+        new Transition({ stagger: 'topDown' }).computeDelays(delays, heights, heights, 3, createRandom(1));
+        expect([...delays]).toEqual([0, 1, 0.5]);
+        new Transition({ stagger: 'none' }).computeDelays(delays, heights, heights, 3, createRandom(1));
+        expect([...delays]).toEqual([0, 0, 0]);
+    });
+
+    it('draws random stagger from the generator it is given', () => {
+        const delays = count => {
+            const out = new Float32Array(count);
+            new Transition({ stagger: 'random' }).computeDelays(out, heights, heights, count, createRandom(9));
+            return [...out];
+        };
+        expect(delays(3)).toEqual(delays(3));
+        // Float32 storage leaves the ends a hair off 0 and 1
+        expect(Math.min(...delays(3))).toBeCloseTo(0, 6);
+        expect(Math.max(...delays(3))).toBeCloseTo(1, 6);
+    });
+
+    it('clamps the stagger amount and falls back on unknown names', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const transition = new Transition({ easing: 'bouncy', path: 'loop', stagger: 'sideways', staggerAmount: 0.5 });
+        expect(transition.easing).toBe('linear');
+        expect(transition.path).toBe(0);
+        expect(transition.stagger).toBe(0);
+        expect(warn).toHaveBeenCalledTimes(3);
+        warn.mockRestore();
+        expect(new Transition({ stagger: 'random', staggerAmount: 2 }).stagger).toBe(0.9);
+    });
+});
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+    build: {
+        rollupOptions: {
+            // The display and the phone controller page (remote.html)
+            input: {
+                main: 'index.html',
+                remote: 'remote.html'
+            }
+        }
+    },
+    worker: {
+        // The hand model worker imports MediaPipe as an ES module
+        format: 'es'
+    }
+});